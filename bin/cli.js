@@ -1,10 +1,13 @@
 #!/usr/bin/env node
 
+import crypto from 'crypto';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 import chalk from 'chalk';
 import prompts from 'prompts';
+import { createTwoFilesPatch, diffArrays, diffLines } from 'diff';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,13 +19,68 @@ const defaultValues = {
   lambda: false,
   dynamo: false,
   s3: false,
+  cdn: false,
   environments: false,
 };
 
+// Features that can be enabled later with `create-mococa-app add <feature>`
+const addableFeatures = ['api', 'cognito', 'lambda', 'dynamo', 's3', 'cdn'];
+
+// Project manifest written into every generated project (also the --config schema)
+const manifestFileName = 'mococa.json';
+const apiTypes = ['elysia'];
+
+const projectNamePattern = /^[a-z0-9-]+$/;
+const domainPattern = /^[a-z0-9.-]+\.[a-z]{2,}$/;
+const environmentPattern = /^[a-z0-9-]+$/;
+
+// Apps that get an entry in DOMAINS, and how their domains are named unless the domain scheme
+// overrides it. `{env}` is the environment name and `{base}` the environment's base domain
+const domainApps = ['landing-page', 'api', 'apigw'];
+const defaultDomainPatterns = {
+  'landing-page': { production: '{base}', default: '{env}.{base}' },
+  api: { production: 'api.{base}', default: 'api-{env}.{base}' },
+  apigw: { production: 'apigw.{base}', default: 'apigw-{env}.{base}' },
+};
+
+// Template files that are copied as-is and never diffed
+const binaryExtensions = /\.(png|jpe?g|gif|ico|webp)$/i;
+
+// Where the Elysia API comes from unless --api-source says otherwise. Fetched over HTTPS so no
+// GitHub SSH key is needed; the ref is the revision the anchors in cloneAndConfigureElysiaApi match
+const defaultApiRef = 'main';
+const defaultApiSource = `https://github.com/mococa/bun-mococa.git#${defaultApiRef}`;
+const tarballPattern = /\.(tar|tar\.gz|tgz)$/i;
+const gitUrlPattern = /^(https?:\/\/|ssh:\/\/|git:\/\/|file:\/\/|git@)/;
+
+// What to do with generated files that already exist with other content (--current)
+const conflictStrategies = ['skip', 'overwrite', 'keep-both', 'merge'];
+
+// Handler file names under packages/lambdas/src, each one is deployed as a route with that method
+const lambdaMethods = ['get', 'post', 'put', 'patch', 'delete', 'any'];
+
+// Line of packages/sdk/src/index.ts that `generate lambda` adds the SDK methods above
+const sdkMethodsAnchor = '  // Methods of `create-mococa-app generate lambda` are added above this line';
+
 function showHelp() {
   console.log(chalk.bold.blue('\n🚀 Create Mococa App\n'));
   console.log(chalk.bold('Usage:'));
-  console.log('  npx create-mococa-app [project-name] [flags]\n');
+  console.log('  npx create-mococa-app [project-name] [flags]');
+  console.log('  npx create-mococa-app add <feature...> [--force] [--api-source <source>]');
+  console.log('  npx create-mococa-app upgrade [--from <path>] [--from-version <version>]');
+  console.log('  npx create-mococa-app generate lambda <name> [--methods get,post] [--path /things/{id}]\n');
+
+  console.log(chalk.bold('Commands:'));
+  console.log('  add <feature...>            Enable features on an existing project (run from the project root)');
+  console.log(`                              Valid features: ${addableFeatures.join(', ')}`);
+  console.log('                              --force merges hand-edited files, marking conflicts with <<<<<<< / >>>>>>>');
+  console.log('  upgrade                     Re-apply the current template to a project generated with an older version');
+  console.log('                              --from <source> takes the old template from a create-mococa-app checkout, tarball or git URL');
+  console.log(`                              --from-version <version> for projects whose ${manifestFileName} has no templateVersion`);
+  console.log('  generate lambda <name>      Create Lambda handlers for a route (run from the project root)');
+  console.log(`                              --methods: ${lambdaMethods.join(', ')} (default: get)`);
+  console.log('                              --path: API Gateway path such as /things/{id} or /files/{key+} (default: /<name>)');
+  console.log('                              Adds an SDK method per route to packages/sdk when the project has it\n');
 
   console.log(chalk.bold('Arguments:'));
   console.log('  [project-name]              Optional. Name of your project (e.g., my-app)\n');
@@ -31,15 +89,27 @@ function showHelp() {
   console.log('  --help, -h                  Show this help message');
   console.log('  --current, -c               Create project in current directory');
   console.log('  --domain <domain>           Specify custom domain (default: {project-name}.com)');
+  console.log('  --domain-pattern <app>[.<env>]=<pattern>');
+  console.log(`                              Name an app's domains, e.g. api={env}.api.{base} (apps: ${domainApps.join(', ')})`);
+  console.log('  --env-domain <env>=<domain> Use a different base domain for an environment (can be used multiple times)');
+  console.log(`  --config <file>             Create the project from a ${manifestFileName} file, without prompts`);
+  console.log('  --dry-run                   Preview the files that would be generated without writing anything');
+  console.log('  --diff                      With --dry-run, show a unified diff against the existing target directory');
+  console.log('  --verify                    Check the generated files (placeholders, imports, constants) before writing them');
+  console.log(`  --on-conflict <strategy>    With --current, resolve existing files without prompting: ${conflictStrategies.join(', ')}`);
+  console.log('  --api-source <source>       Where to get the Elysia API from: a directory, a .tar.gz/.tgz file or URL,');
+  console.log(`                              or a git URL with an optional #ref (default: ${defaultApiSource})`);
+  console.log('  --template-only             Generate everything except the Elysia API source (apps/api)');
   console.log('  --skip                      Skip all prompts and use default values');
   console.log('  --full                      Skip prompts and include all features');
   console.log('  --except, -e <feature>      Exclude features when using --full (can be used multiple times)');
-  console.log('                              Valid features: api, cognito, lambda, dynamo, s3, environments');
+  console.log('                              Valid features: api, cognito, lambda, dynamo, s3, cdn, environments');
   console.log(`  --api                       Include Elysia API server (Bun-based, default: ${defaultValues.api})`);
   console.log(`  --cognito                   Include AWS Cognito authentication (default: ${defaultValues.cognito})`);
   console.log(`  --lambda                    Include AWS Lambda + API Gateway infrastructure (default: ${defaultValues.lambda})`);
   console.log(`  --dynamo                    Include DynamoDB infrastructure (default: ${defaultValues.dynamo})`);
   console.log(`  --s3                        Include S3 storage bucket infrastructure (default: ${defaultValues.s3})`);
+  console.log(`  --cdn                       Serve the landing page through CloudFront from a private bucket (default: ${defaultValues.cdn})`);
   console.log(`  --environments              Configure multiple environments (default: ${defaultValues.environments})\n`);
 
   console.log(chalk.bold('Examples:'));
@@ -67,9 +137,30 @@ function showHelp() {
   console.log('  # Full setup except specific features (short flag)');
   console.log('  npx create-mococa-app my-app --full -e s3 -e dynamo\n');
 
+  console.log('  # Preview a flag combination before generating it');
+  console.log('  npx create-mococa-app my-app --full -e dynamo --dry-run\n');
+
   console.log('  # Full setup with manual feature selection');
   console.log('  npx create-mococa-app my-app --api --cognito --lambda --dynamo --s3 --environments\n');
 
+  console.log('  # Staging on its own domain, environment names in front of the app name');
+  console.log('  npx create-mococa-app my-app --full --env-domain staging=my-app-staging.io --domain-pattern landing-page={env}.app.{base}\n');
+
+  console.log('  # Use a local copy of the API template (works offline)');
+  console.log('  npx create-mococa-app my-app --full --api-source ../bun-mococa\n');
+
+  console.log('  # Add the mococa layout to an existing repository, merging package.json');
+  console.log('  npx create-mococa-app my-app --current --skip --on-conflict=merge\n');
+
+  console.log('  # Reproduce a project from its manifest');
+  console.log(`  npx create-mococa-app --config ./other-app/${manifestFileName}\n`);
+
+  console.log('  # Enable DynamoDB and Cognito on an existing project');
+  console.log('  npx create-mococa-app add dynamo cognito\n');
+
+  console.log('  # Add GET and PUT /things/{id} Lambda handlers');
+  console.log('  npx create-mococa-app generate lambda things --methods get,put --path /things/{id}\n');
+
   console.log(chalk.bold('Documentation:'));
   console.log('  https://github.com/mococa/create-mococa-app\n');
 }
@@ -84,6 +175,21 @@ async function main() {
     process.exit(0);
   }
 
+  if (args[0] === 'add') {
+    await addFeatures(args.slice(1));
+    return;
+  }
+
+  if (args[0] === 'upgrade') {
+    await upgradeProject(args.slice(1));
+    return;
+  }
+
+  if (args[0] === 'generate') {
+    await generateCode(args.slice(1));
+    return;
+  }
+
   console.log(chalk.bold.blue('\n🚀 Create Mococa App\n'));
 
   const skipPrompts = args.includes('--skip');
@@ -118,24 +224,6 @@ async function main() {
     return null;
   };
 
-  // Helper function to parse text/value flags
-  // Supports both --flag=value and --flag value formats
-  const parseTextFlag = (flagName) => {
-    const flagIndex = args.findIndex(arg => arg.startsWith(flagName));
-    if (flagIndex === -1) return { value: null, valueIndex: -1 };
-
-    const flagArg = args[flagIndex];
-    if (flagArg.includes('=')) {
-      return { value: flagArg.split('=')[1], valueIndex: -1 };
-    }
-
-    if (args[flagIndex + 1] && !args[flagIndex + 1].startsWith('--')) {
-      return { value: args[flagIndex + 1], valueIndex: flagIndex + 1 };
-    }
-
-    return { value: null, valueIndex: -1 };
-  };
-
   // Helper function to parse simple boolean flags (no prompting/defaults)
   const parseSimpleFlag = (...flagNames) => {
     return flagNames.some(flag => args.includes(flag));
@@ -144,19 +232,53 @@ async function main() {
   const includeLambda = parseFlag('--lambda', 'lambda');
   const includeDynamo = parseFlag('--dynamo', 'dynamo');
   const includeS3 = parseFlag('--s3', 's3');
+  const includeCdn = parseFlag('--cdn', 'cdn');
   const includeApi = parseFlag('--api', 'api');
   const includeCognito = parseFlag('--cognito', 'cognito');
   const includeEnvironments = parseFlag('--environments', 'environments');
   const useCurrentDir = parseSimpleFlag('--current', '-c');
+  const dryRun = parseSimpleFlag('--dry-run');
+  const showDiff = parseSimpleFlag('--diff');
+  const verify = parseSimpleFlag('--verify');
+  const templateOnly = parseSimpleFlag('--template-only');
 
   // Extract --domain flag value
-  const { value: customDomain, valueIndex: domainValueIndex } = parseTextFlag('--domain');
+  const { value: customDomain, valueIndex: domainValueIndex } = readFlagValue(args, '--domain');
+
+  // Extract --api-source flag value (local directory, tarball or git URL)
+  const { value: apiSourceFlag, valueIndex: apiSourceValueIndex } = readFlagValue(args, '--api-source');
+  const apiSource = apiSourceFlag || defaultApiSource;
+
+  // Extract --domain-pattern and --env-domain values (repeatable)
+  const domainPatternFlags = readFlagValues(args, '--domain-pattern');
+  const envDomainFlags = readFlagValues(args, '--env-domain');
+  const flagDomainScheme = parseDomainSchemeFlags(domainPatternFlags.values, envDomainFlags.values);
+
+  // Extract --on-conflict flag value
+  const { value: onConflict, valueIndex: onConflictValueIndex } = readFlagValue(args, '--on-conflict');
+  if (onConflict && !conflictStrategies.includes(onConflict)) {
+    console.log(chalk.red(`❌ Unknown --on-conflict strategy: ${onConflict}. Valid strategies: ${conflictStrategies.join(', ')}\n`));
+    process.exit(1);
+  }
+
+  // --config drives a fully non-interactive run from a manifest file
+  const { value: configFile } = readFlagValue(args, '--config');
+  if (configFile) {
+    const manifest = loadManifest(path.resolve(process.cwd(), configFile));
+    const targetDir = useCurrentDir ? '.' : `./${manifest.projectName}`;
+    await createProject(targetDir, manifest.projectName, manifest.domain, manifest.features, manifest.environments, manifest.domainScheme, { interactive: false, dryRun, showDiff, verify, apiSource, onConflict, templateOnly });
+    return;
+  }
 
   // First non-flag argument is the project name (excluding domain value)
   const customProjectName = args.find((arg, index) =>
     !arg.startsWith('--') &&
     !arg.startsWith('-') &&
-    index !== domainValueIndex
+    index !== domainValueIndex &&
+    index !== apiSourceValueIndex &&
+    index !== onConflictValueIndex &&
+    !domainPatternFlags.valueIndexes.includes(index) &&
+    !envDomainFlags.valueIndexes.includes(index)
   );
 
   const questions = [];
@@ -170,7 +292,7 @@ async function main() {
       initial: 'my-app',
       validate: (value) => {
         if (!value) return 'Project name is required';
-        if (!/^[a-z0-9-]+$/.test(value)) {
+        if (!projectNamePattern.test(value)) {
           return 'Project name can only contain lowercase letters, numbers, and hyphens';
         }
         return true;
@@ -190,7 +312,7 @@ async function main() {
       },
       validate: (value) => {
         if (!value) return 'Domain is required';
-        if (!/^[a-z0-9.-]+\.[a-z]{2,}$/.test(value)) {
+        if (!domainPattern.test(value)) {
           return 'Please enter a valid domain (e.g., example.com)';
         }
         return true;
@@ -217,6 +339,7 @@ async function main() {
     includeLambda === null &&
     includeDynamo === null &&
     includeS3 === null &&
+    includeCdn === null &&
     includeApi === null &&
     includeCognito === null &&
     includeEnvironments === null;
@@ -262,6 +385,12 @@ async function main() {
         message: 'Include S3 storage bucket infrastructure?',
         initial: false,
       },
+      {
+        type: 'confirm',
+        name: 'wantCdn',
+        message: 'Serve the landing page through CloudFront (private bucket) instead of the public S3 website endpoint?',
+        initial: false,
+      },
       {
         type: 'confirm',
         name: 'wantEnvironments',
@@ -286,9 +415,12 @@ async function main() {
       validate: (value) => {
         if (!value) return 'At least one environment is required';
         const envs = value.split(',').map(e => e.trim());
-        if (envs.some(e => !/^[a-z0-9-]+$/.test(e))) {
+        if (envs.some(e => !environmentPattern.test(e))) {
           return 'Environment names can only contain lowercase letters, numbers, and hyphens';
         }
+        if (envs.includes('local')) {
+          return '"local" is reserved for the stack running on emulators (bun run local:up)';
+        }
         return true;
       },
     });
@@ -325,6 +457,7 @@ async function main() {
     wantLambda,
     wantDynamo,
     wantS3,
+    wantCdn,
     wantEnvironments
   } = response || {};
 
@@ -339,16 +472,17 @@ async function main() {
   // Use custom domain from flag or prompt, or default to projectName.com
   const domain = customDomain || promptDomain || `${projectName}.com`;
 
-  const targetPath = path.resolve(process.cwd(), targetDir);
-
   // Determine final feature flags
   // Priority: CLI flag > prompt response > default value (if --skip was used)
-  const finalIncludeApi = includeApi !== null ? includeApi : (wantApi || false);
-  const finalApiType = apiType || 'elysia'; // Default to elysia for now
-  const finalIncludeCognito = includeCognito !== null ? includeCognito : (wantCognito || false);
-  const finalIncludeLambda = includeLambda !== null ? includeLambda : (wantLambda || false);
-  const finalIncludeDynamo = includeDynamo !== null ? includeDynamo : (wantDynamo || false);
-  const finalIncludeS3 = includeS3 !== null ? includeS3 : (wantS3 || false);
+  const features = {
+    api: includeApi !== null ? includeApi : (wantApi || false),
+    apiType: apiType || 'elysia', // Default to elysia for now
+    cognito: includeCognito !== null ? includeCognito : (wantCognito || false),
+    lambda: includeLambda !== null ? includeLambda : (wantLambda || false),
+    dynamo: includeDynamo !== null ? includeDynamo : (wantDynamo || false),
+    s3: includeS3 !== null ? includeS3 : (wantS3 || false),
+    cdn: includeCdn !== null ? includeCdn : (wantCdn || false),
+  };
   const finalIncludeEnvironments = includeEnvironments !== null ? includeEnvironments : (wantEnvironments || false);
 
   // Parse environments
@@ -356,8 +490,30 @@ async function main() {
     ? environmentsInput.split(',').map(e => e.trim())
     : ['production'];
 
+  // Ask for the domain naming scheme when it was not given through flags
+  let domainScheme = flagDomainScheme;
+  if (!skipPrompts && !fullSetup && domainPatternFlags.values.length === 0 && envDomainFlags.values.length === 0) {
+    domainScheme = await promptDomainScheme(domain, features, environments);
+  }
+
+  await createProject(targetDir, projectName, domain, features, environments, domainScheme, { interactive: true, dryRun, showDiff, verify, apiSource, onConflict, templateOnly });
+}
+
+async function createProject(targetDir, projectName, domain, features, environments, domainScheme, { interactive, dryRun, showDiff, verify, apiSource, onConflict, templateOnly }) {
+  const targetPath = path.resolve(process.cwd(), targetDir);
+
+  if (dryRun) {
+    previewProject(targetPath, projectName, domain, features, environments, domainScheme, showDiff, apiSource);
+    return;
+  }
+
   // Check if directory exists and is not empty
   if (fs.existsSync(targetPath) && targetDir !== '.') {
+    if (!interactive) {
+      console.log(chalk.red(`\n❌ Directory ${targetDir} already exists\n`));
+      process.exit(1);
+    }
+
     const { overwrite } = await prompts({
       type: 'confirm',
       name: 'overwrite',
@@ -369,75 +525,1696 @@ async function main() {
       console.log(chalk.red('\n❌ Setup cancelled\n'));
       process.exit(1);
     }
+  }
+
+  console.log(chalk.cyan(`\n📁 Creating project in ${targetPath}...\n`));
+
+  // Everything is generated in a staging directory and only moved into place once complete,
+  // so a failure at any step leaves the target exactly as it was
+  const inPlace = targetDir === '.';
+  const stagingPath = inPlace
+    ? fs.mkdtempSync(path.join(os.tmpdir(), 'mococa-'))
+    : fs.mkdtempSync(path.join(path.dirname(targetPath), `.${path.basename(targetPath)}-`));
+  let step = 'copying the template';
+  let problems = [];
+  let failure = null;
+
+  try {
+    // Copy template
+    const templateDir = path.resolve(__dirname, '../template');
+    copyDirectory(templateDir, stagingPath, projectName, domain, features, environments, domainScheme);
+
+    // Clone and configure API if needed
+    if (features.api && features.apiType === 'elysia' && !templateOnly) {
+      step = 'setting up the Elysia API';
+      console.log(chalk.cyan('\n📦 Setting up Elysia API server...\n'));
+      await cloneAndConfigureElysiaApi(stagingPath, projectName, environments, features, { finalPath: targetPath, apiSource });
+    }
+
+    // Record the resolved setup so the project can be reproduced and extended later
+    step = `writing ${manifestFileName}`;
+    writeManifest(stagingPath, createManifest(projectName, domain, features, environments, domainScheme));
+
+    if (verify) {
+      step = 'verifying the generated files';
+      console.log(chalk.cyan('\n🔎 Verifying generated files...\n'));
+      problems = verifyProject(stagingPath, projectName);
+    }
+
+    // With --current, decide what happens to files that already exist before anything is written
+    if (inPlace && problems.length === 0) {
+      step = 'resolving conflicts with existing files';
+      await resolveConflicts(stagingPath, targetPath, onConflict, interactive);
+    }
+
+    if (problems.length === 0) {
+      step = `moving the project into ${targetPath}`;
+      moveIntoPlace(stagingPath, targetPath, inPlace);
+    }
+  } catch (error) {
+    failure = error;
+  } finally {
+    fs.rmSync(stagingPath, { recursive: true, force: true });
+  }
+
+  if (failure) {
+    console.log(chalk.red(`\n❌ Failed while ${step}: ${failure.message}`));
+    console.log(chalk.red(`   ${targetPath} was left as it was before\n`));
+    process.exit(1);
+  }
+
+  if (problems.length > 0) {
+    printVerificationReport(problems);
+    console.log(chalk.red(`❌ Verification failed, nothing was written to ${targetPath}\n`));
+    process.exit(1);
+  }
+
+  if (verify) {
+    console.log(chalk.green('  ✓ No unreplaced placeholders, missing imports or missing constants\n'));
+  }
+
+  const featureNames = [];
+  if (features.api) featureNames.push(`${features.apiType === 'elysia' ? 'Elysia' : 'API'} Server`);
+  if (features.lambda) featureNames.push('Lambda');
+  if (features.dynamo) featureNames.push('DynamoDB');
+  if (features.s3) featureNames.push('S3 Storage');
+  if (features.cdn) featureNames.push('CloudFront');
+  if (features.cognito) featureNames.push('Cognito');
+
+  if (featureNames.length > 0) {
+    console.log(chalk.green(`✅ Project created successfully with ${featureNames.join(' + ')} support!\n`));
+  } else {
+    console.log(chalk.green('✅ Project created successfully!\n'));
+  }
+  console.log(chalk.bold('Next steps:\n'));
+  console.log(chalk.cyan(`  cd ${targetDir}`));
+  console.log(chalk.cyan('  bun install'));
+  console.log(chalk.cyan('  bun start\n'));
+}
+
+// Finds generated files that already exist in `targetPath` with other content and resolves each one
+// in the staging directory: skipped files are removed from it, kept-both files renamed and merged ones
+// rewritten, so moveIntoPlace only writes what was agreed on
+async function resolveConflicts(stagingPath, targetPath, strategy, interactive) {
+  const conflicts = listFiles(stagingPath).filter(relativePath => {
+    const destPath = path.join(targetPath, relativePath);
+    return fs.existsSync(destPath) && !fs.readFileSync(destPath).equals(fs.readFileSync(path.join(stagingPath, relativePath)));
+  });
+  if (conflicts.length === 0) return;
+
+  if (!strategy && !interactive) {
+    throw new Error(
+      `${conflicts.length} generated file(s) already exist with other content:\n` +
+      conflicts.map(relativePath => `      - ${relativePath}`).join('\n') +
+      `\n    Re-run with --on-conflict=<${conflictStrategies.join('|')}> to decide what happens to them.`
+    );
+  }
+
+  console.log(chalk.yellow(`\n⚠️  ${conflicts.length} generated file(s) already exist in ${targetPath}\n`));
+
+  for (const relativePath of conflicts) {
+    const stagedPath = path.join(stagingPath, relativePath);
+    const destPath = path.join(targetPath, relativePath);
+    const isJson = relativePath.endsWith('.json');
+    let action = strategy;
+
+    while (!action) {
+      const { choice } = await prompts({
+        type: 'select',
+        name: 'choice',
+        message: `${relativePath} already exists`,
+        choices: [
+          { title: 'Skip (keep your file)', value: 'skip' },
+          { title: 'Overwrite', value: 'overwrite' },
+          { title: `Keep both (write ${keepBothPath(relativePath)})`, value: 'keep-both' },
+          ...(isJson ? [{ title: 'Merge (add missing scripts, workspaces, dependencies...)', value: 'merge' }] : []),
+          { title: 'Show diff', value: 'diff' },
+        ],
+      });
+
+      if (!choice) throw new Error('Setup cancelled');
+
+      if (choice === 'diff') {
+        if (binaryExtensions.test(relativePath)) {
+          console.log(chalk.bold(`\nBinary file ${relativePath} differs\n`));
+        } else {
+          const patch = createTwoFilesPatch(`a/${relativePath}`, `b/${relativePath}`, fs.readFileSync(destPath, 'utf8'), fs.readFileSync(stagedPath, 'utf8'));
+          console.log(`\n${colorizePatch(patch)}`);
+        }
+        continue;
+      }
+
+      action = choice;
+    }
+
+    // Only JSON can be merged structurally, everything else keeps both copies
+    if (action === 'merge' && isJson) {
+      let current;
+      try {
+        current = JSON.parse(fs.readFileSync(destPath, 'utf8'));
+      } catch {
+        current = null;
+      }
+
+      if (current !== null) {
+        const { value, kept } = mergeJsonInto(current, JSON.parse(fs.readFileSync(stagedPath, 'utf8')));
+        fs.writeFileSync(stagedPath, JSON.stringify(value, null, 2) + '\n');
+        console.log(chalk.green(`  ✓ Merged ${relativePath}`));
+        kept.forEach(keyPath => console.log(chalk.gray(`      kept your value for ${keyPath}`)));
+        continue;
+      }
+
+      console.log(chalk.yellow(`  ${relativePath} is not valid JSON, keeping both`));
+      action = 'keep-both';
+    } else if (action === 'merge') {
+      action = 'keep-both';
+    }
+
+    if (action === 'skip') {
+      fs.rmSync(stagedPath);
+      console.log(chalk.gray(`  - Skipped ${relativePath}`));
+    } else if (action === 'keep-both') {
+      fs.renameSync(stagedPath, path.join(stagingPath, keepBothPath(relativePath)));
+      console.log(chalk.green(`  ✓ Kept ${relativePath}, wrote ${keepBothPath(relativePath)}`));
+    } else {
+      console.log(chalk.green(`  ✓ Overwriting ${relativePath}`));
+    }
+  }
+
+  console.log('');
+}
+
+// README.md -> README.mococa.md, .gitignore -> .gitignore.mococa
+function keepBothPath(relativePath) {
+  const extension = path.extname(relativePath);
+  return extension
+    ? `${relativePath.slice(0, -extension.length)}.mococa${extension}`
+    : `${relativePath}.mococa`;
+}
+
+// Adds what `generated` has and `current` lacks: missing keys (scripts, dependencies...) are added,
+// arrays (workspaces...) are unioned and values the user already set are kept
+function mergeJsonInto(current, generated, keyPath = []) {
+  if (isObject(current) && isObject(generated)) {
+    const value = { ...current };
+    const kept = [];
+    for (const key of Object.keys(generated)) {
+      if (!(key in current)) {
+        value[key] = generated[key];
+        continue;
+      }
+      const merged = mergeJsonInto(current[key], generated[key], [...keyPath, key]);
+      value[key] = merged.value;
+      kept.push(...merged.kept);
+    }
+    return { value, kept };
+  }
+
+  if (Array.isArray(current) && Array.isArray(generated)) {
+    const missing = generated.filter(item => !current.some(existing => isDeepEqual(existing, item)));
+    return { value: [...current, ...missing], kept: [] };
+  }
+
+  return { value: current, kept: isDeepEqual(current, generated) ? [] : [keyPath.join('.')] };
+}
+
+// Moves a finished staging directory to `targetPath`. A whole directory is swapped with renames;
+// `inPlace` (--current) only replaces the files the scaffold owns. Either way, anything touched is
+// put back if the move fails
+function moveIntoPlace(stagingPath, targetPath, inPlace) {
+  if (!inPlace) {
+    const previousPath = fs.existsSync(targetPath) ? `${stagingPath}-previous` : null;
+    if (previousPath) fs.renameSync(targetPath, previousPath);
+
+    try {
+      fs.renameSync(stagingPath, targetPath);
+    } catch (error) {
+      if (previousPath) fs.renameSync(previousPath, targetPath);
+      throw error;
+    }
+
+    if (previousPath) fs.rmSync(previousPath, { recursive: true, force: true });
+    return;
+  }
+
+  const backupPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mococa-backup-'));
+  const replaced = [];
+  const created = [];
+
+  try {
+    for (const relativePath of listFiles(stagingPath)) {
+      const destPath = path.join(targetPath, relativePath);
+
+      if (fs.existsSync(destPath)) {
+        fs.mkdirSync(path.dirname(path.join(backupPath, relativePath)), { recursive: true });
+        fs.copyFileSync(destPath, path.join(backupPath, relativePath));
+        replaced.push(relativePath);
+      } else {
+        created.push(relativePath);
+      }
+
+      fs.mkdirSync(path.dirname(destPath), { recursive: true });
+      fs.copyFileSync(path.join(stagingPath, relativePath), destPath);
+    }
+  } catch (error) {
+    replaced.forEach(relativePath => {
+      fs.copyFileSync(path.join(backupPath, relativePath), path.join(targetPath, relativePath));
+    });
+
+    created.forEach(relativePath => {
+      fs.rmSync(path.join(targetPath, relativePath), { force: true });
+
+      // Remove the directories that only existed for the created file
+      let dir = path.dirname(path.join(targetPath, relativePath));
+      while (dir !== targetPath && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+        fs.rmdirSync(dir);
+        dir = path.dirname(dir);
+      }
+    });
+
+    throw error;
+  } finally {
+    fs.rmSync(backupPath, { recursive: true, force: true });
+  }
+}
+
+// Runs the whole generation against a virtual filesystem and prints what would be written
+function previewProject(targetPath, projectName, domain, features, environments, domainScheme, showDiff, apiSource) {
+  console.log(chalk.yellow('\n🔍 Dry run: nothing will be written to disk\n'));
+
+  const templateDir = path.resolve(__dirname, '../template');
+  const virtualFs = createVirtualFs();
+  copyDirectory(templateDir, targetPath, projectName, domain, features, environments, domainScheme, virtualFs);
+  writeManifest(targetPath, createManifest(projectName, domain, features, environments, domainScheme), virtualFs);
+
+  const relativePaths = [...virtualFs.files.keys()].map(filePath => path.relative(targetPath, filePath));
+  if (features.api && features.apiType === 'elysia') {
+    relativePaths.push(`apps/api/ (from ${apiSource})`);
+  }
+
+  console.log(chalk.cyan(`📁 Files that would be created in ${targetPath}:\n`));
+  console.log(`  ${path.basename(targetPath)}/`);
+  console.log(formatTree(relativePaths).map(line => `  ${line}`).join('\n'));
+  console.log(chalk.gray(`\n  ${virtualFs.files.size} files\n`));
+
+  if (virtualFs.skipped.length > 0) {
+    console.log(chalk.cyan('⏭️  Template files skipped:\n'));
+    const skippedByCondition = {};
+    virtualFs.skipped.forEach(({ relativePath, condition }) => {
+      skippedByCondition[condition] = skippedByCondition[condition] || [];
+      skippedByCondition[condition].push(relativePath);
+    });
+    Object.entries(skippedByCondition).forEach(([condition, relativePaths]) => {
+      console.log(chalk.bold(`  needs ${describeCondition(condition)}:`));
+      relativePaths.forEach(relativePath => console.log(`    - ${relativePath}`));
+    });
+    console.log('');
+  }
+
+  if (showDiff) {
+    if (!fs.existsSync(targetPath)) {
+      console.log(chalk.gray(`  ${targetPath} does not exist yet, every file would be new.\n`));
+    } else {
+      console.log(chalk.cyan(`📝 Changes compared to ${targetPath}:\n`));
+      let changed = 0;
+
+      for (const [filePath, content] of virtualFs.files) {
+        const relativePath = path.relative(targetPath, filePath);
+        const existing = fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+        if (existing && existing.equals(content)) continue;
+
+        changed++;
+        if (binaryExtensions.test(relativePath)) {
+          console.log(chalk.bold(`Binary file ${relativePath} ${existing ? 'differs' : 'is new'}\n`));
+          continue;
+        }
+
+        const patch = createTwoFilesPatch(
+          existing ? `a/${relativePath}` : '/dev/null',
+          `b/${relativePath}`,
+          existing ? existing.toString('utf8') : '',
+          content.toString('utf8')
+        );
+        console.log(colorizePatch(patch));
+      }
+
+      if (changed === 0) {
+        console.log(chalk.gray('  No differences.\n'));
+      }
+    }
+  }
+
+  console.log(chalk.green('✅ Dry run complete. Re-run without --dry-run to create the project.\n'));
+}
+
+// Checks a generated project for broken output and returns one entry per problem
+function verifyProject(rootDir, projectName) {
+  const problems = [];
+  const codeExtensions = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'];
+  const relativePaths = listFiles(rootDir).filter(relativePath => !relativePath.split(path.sep).includes('node_modules'));
+  const read = (relativePath) => fs.readFileSync(path.join(rootDir, relativePath), 'utf8');
+  const lineOf = (content, index) => content.slice(0, index).split('\n').length;
+
+  // Names exported by the constants package
+  const constantsPath = path.join('packages', 'constants', 'src', 'index.ts');
+  const constantsExports = new Set();
+  if (relativePaths.includes(constantsPath)) {
+    const constants = read(constantsPath);
+    for (const match of constants.matchAll(/export\s+(?:const|let|type|interface|function|class|enum)\s+(\w+)/g)) {
+      constantsExports.add(match[1]);
+    }
+    for (const match of constants.matchAll(/export\s*\{([^}]*)\}/g)) {
+      match[1].split(',').map(name => name.trim().split(/\s+as\s+/).pop()).filter(Boolean).forEach(name => constantsExports.add(name));
+    }
+    // Names re-exported with `export * from './entities'`
+    for (const match of constants.matchAll(/export\s*\*\s*from\s*['"]\.\/([\w-]+)['"]/g)) {
+      const modulePath = path.join(path.dirname(constantsPath), `${match[1]}.ts`);
+      if (!relativePaths.includes(modulePath)) continue;
+      for (const name of read(modulePath).matchAll(/export\s+(?:const|let|type|interface|function|class|enum)\s+(\w+)/g)) {
+        constantsExports.add(name[1]);
+      }
+    }
+  }
+
+  // Public members of BackendComponent
+  const backendPath = path.join('infrastructure', 'src', 'components', 'backend.ts');
+  const backendMembers = relativePaths.includes(backendPath)
+    ? new Set([...read(backendPath).matchAll(/public readonly (\w+)/g)].map(match => match[1]))
+    : null;
+
+  for (const relativePath of relativePaths) {
+    if (binaryExtensions.test(relativePath)) continue;
+    const content = read(relativePath);
+
+    // Unreplaced template placeholders ({{PROJECT_NAME}}, {{project-name}}, ...), ignoring GitHub's ${{ }}
+    for (const match of content.matchAll(/(?<!\$)\{\{[A-Za-z_][\w-]*\}\}/g)) {
+      problems.push({ relativePath, line: lineOf(content, match.index), message: `unreplaced placeholder ${match[0]}` });
+    }
+
+    if (!codeExtensions.includes(path.extname(relativePath))) continue;
+
+    // Blank out comments (keeping line numbers) so commented-out examples are not checked
+    const code = content
+      .replace(/^\s*\/\*[\s\S]*?\*\//gm, comment => comment.replace(/[^\n]/g, ' '))
+      .replace(/^\s*\/\/.*$/gm, comment => ' '.repeat(comment.length));
+
+    // Relative imports that point to files that were not generated
+    const importPatterns = [
+      /(?:import|export)\s[^'";]*?from\s*['"](\.{1,2}\/[^'"]*)['"]/g,
+      /import\s*\(?\s*['"](\.{1,2}\/[^'"]*)['"]/g,
+      /require(?:\.resolve)?\(\s*['"](\.{1,2}\/[^'"]*)['"]\s*\)/g,
+    ];
+    for (const pattern of importPatterns) {
+      for (const match of code.matchAll(pattern)) {
+        const importPath = path.join(path.dirname(relativePath), match[1]);
+        const candidates = [
+          importPath,
+          ...codeExtensions.concat('.json').map(extension => `${importPath}${extension}`),
+          ...codeExtensions.map(extension => path.join(importPath, `index${extension}`)),
+          importPath.replace(/\.js$/, '.ts'),
+        ];
+        if (!candidates.some(candidate => relativePaths.includes(candidate))) {
+          problems.push({ relativePath, line: lineOf(code, match.index), message: `import '${match[1]}' points to a missing file` });
+        }
+      }
+    }
+
+    // Names imported from the constants package that it does not export
+    if (constantsExports.size > 0) {
+      const constantsImport = new RegExp(`import\\s+(?:type\\s+)?\\{([^}]*)\\}\\s*from\\s*['"]@${projectName}/constants['"]`, 'g');
+      for (const match of code.matchAll(constantsImport)) {
+        match[1]
+          .split(',')
+          .map(name => name.trim().replace(/^type\s+/, '').split(/\s+as\s+/)[0])
+          .filter(Boolean)
+          .filter(name => !constantsExports.has(name))
+          .forEach(name => {
+            problems.push({ relativePath, line: lineOf(code, match.index + match[0].indexOf(name)), message: `${name} is imported from @${projectName}/constants but never exported` });
+          });
+      }
+    }
+
+    // BackendComponent members that were not generated (e.g. backend.storage without --s3)
+    if (backendMembers) {
+      for (const instance of code.matchAll(/const (\w+) = new BackendComponent\(/g)) {
+        for (const member of code.matchAll(new RegExp(`\\b${instance[1]}\\.(\\w+)`, 'g'))) {
+          if (!backendMembers.has(member[1])) {
+            problems.push({ relativePath, line: lineOf(code, member.index), message: `${instance[1]}.${member[1]} is not a member of BackendComponent` });
+          }
+        }
+      }
+    }
+  }
+
+  return problems;
+}
+
+function printVerificationReport(problems) {
+  console.log(chalk.red(`  Found ${problems.length} problem(s) in the generated files:\n`));
+  problems.forEach(({ relativePath, line, message }) => {
+    console.log(chalk.red(`  ✗ ${relativePath}:${line}  ${message}`));
+  });
+  console.log('');
+}
+
+// Renders relative file paths as an indented tree
+function formatTree(relativePaths) {
+  const root = {};
+  relativePaths.forEach(relativePath => {
+    let node = root;
+    relativePath.split('/').filter(Boolean).forEach((segment, index, segments) => {
+      const isLast = index === segments.length - 1;
+      const key = isLast && !relativePath.endsWith('/') ? segment : `${segment}/`;
+      node[key] = node[key] || {};
+      node = node[key];
+    });
+  });
+
+  const render = (node, prefix) => {
+    const keys = Object.keys(node).sort((a, b) => {
+      const aIsDir = a.endsWith('/');
+      const bIsDir = b.endsWith('/');
+      if (aIsDir !== bIsDir) return aIsDir ? -1 : 1;
+      return a.localeCompare(b);
+    });
+
+    return keys.flatMap((key, index) => {
+      const isLast = index === keys.length - 1;
+      return [
+        `${prefix}${isLast ? '└── ' : '├── '}${key}`,
+        ...render(node[key], `${prefix}${isLast ? '    ' : '│   '}`),
+      ];
+    });
+  };
+
+  return render(root, '');
+}
+
+function colorizePatch(patch) {
+  return patch
+    .split('\n')
+    .filter(line => !line.startsWith('====='))
+    .map(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+      if (line.startsWith('+')) return chalk.green(line);
+      if (line.startsWith('-')) return chalk.red(line);
+      if (line.startsWith('@@')) return chalk.cyan(line);
+      return line;
+    })
+    .join('\n');
+}
+
+async function addFeatures(args) {
+  console.log(chalk.bold.blue('\n🚀 Create Mococa App - add\n'));
+
+  const { value: apiSourceFlag, valueIndex: apiSourceValueIndex } = readFlagValue(args, '--api-source');
+  const apiSource = apiSourceFlag || defaultApiSource;
+
+  const requested = args.filter((arg, index) => !arg.startsWith('-') && index !== apiSourceValueIndex);
+  const force = args.includes('--force');
+
+  if (requested.length === 0) {
+    console.log(chalk.red(`❌ Missing feature. Usage: create-mococa-app add <${addableFeatures.join('|')}>\n`));
+    process.exit(1);
+  }
+
+  const unknown = requested.filter(feature => !addableFeatures.includes(feature));
+  if (unknown.length > 0) {
+    console.log(chalk.red(`❌ Unknown feature(s): ${unknown.join(', ')}. Valid features: ${addableFeatures.join(', ')}\n`));
+    process.exit(1);
+  }
+
+  const targetPath = process.cwd();
+  const project = detectProject(targetPath);
+
+  const missing = requested.filter(feature => !project.features[feature]);
+  if (missing.length === 0) {
+    console.log(chalk.green(`✅ ${requested.join(', ')} already enabled, nothing to do.\n`));
+    return;
+  }
+
+  // The files are compared with this CLI's template, which only tells hand edits apart
+  // when the project was generated (or last upgraded) with that same template
+  if (project.templateHash !== getTemplateHash()) {
+    const generatedWith = project.templateVersion ? `template ${project.templateVersion}` : 'a version that did not record it';
+    console.log(chalk.red(`❌ ${project.projectName} was generated from another template than this create-mococa-app's (${generatedWith}).`));
+    console.log(chalk.red(`   Run create-mococa-app upgrade${project.templateVersion ? '' : ' --from-version <version>'} first, then add ${missing.join(' ')}.\n`));
+    process.exit(1);
+  }
+
+  const nextFeatures = { ...project.features };
+  missing.forEach(feature => { nextFeatures[feature] = true; });
+
+  console.log(chalk.cyan(`📁 Adding ${missing.join(', ')} to ${project.projectName}...\n`));
+
+  // Render the pristine template for the current and the requested feature set,
+  // so we can tell template output apart from what the user wrote by hand
+  const previousFiles = renderTemplate(project.projectName, project.domain, project.features, project.environments, project.domainScheme);
+  const nextFiles = renderTemplate(project.projectName, project.domain, nextFeatures, project.environments, project.domainScheme);
+
+  const changes = [];
+  const conflicts = [];
+  // Files that --force merged with conflict markers or the user's JSON values
+  const mergeNotes = [];
+
+  for (const [relativePath, nextContent] of nextFiles) {
+    const previousContent = previousFiles.get(relativePath) || null;
+    const currentPath = path.join(targetPath, relativePath);
+    const currentContent = fs.existsSync(currentPath) ? fs.readFileSync(currentPath) : null;
+
+    // Template output did not change for this file
+    if (previousContent && previousContent.equals(nextContent)) continue;
+
+    // Already up to date
+    if (currentContent && currentContent.equals(nextContent)) continue;
+
+    if (!currentContent) {
+      if (previousContent) {
+        conflicts.push({ relativePath, reason: 'file was deleted' });
+      } else {
+        changes.push({ relativePath, content: nextContent, action: 'create' });
+      }
+      continue;
+    }
+
+    if (previousContent && currentContent.equals(previousContent)) {
+      changes.push({ relativePath, content: nextContent, action: 'update' });
+      continue;
+    }
+
+    if (!previousContent || binaryExtensions.test(relativePath)) {
+      conflicts.push({ relativePath, reason: previousContent ? 'binary file was edited' : 'file already exists' });
+      continue;
+    }
+
+    // Hand-edited JSON files (package.json) can still be merged key by key
+    if (relativePath.endsWith('.json')) {
+      try {
+        const { value, conflicts: keyConflicts } = mergeJson(
+          JSON.parse(previousContent.toString('utf8')),
+          JSON.parse(currentContent.toString('utf8')),
+          JSON.parse(nextContent.toString('utf8'))
+        );
+
+        if (keyConflicts.length === 0) {
+          changes.push({ relativePath, content: JSON.stringify(value, null, 2) + '\n', action: 'merge' });
+        } else if (force) {
+          changes.push({ relativePath, content: JSON.stringify(value, null, 2) + '\n', action: 'merge' });
+          mergeNotes.push({ relativePath, reason: `kept your value for ${keyConflicts.join(', ')}` });
+        } else {
+          conflicts.push({ relativePath, reason: `conflicting keys: ${keyConflicts.join(', ')}`, mergeable: true });
+        }
+        continue;
+      } catch (error) {
+        conflicts.push({ relativePath, reason: `invalid JSON (${error.message})` });
+        continue;
+      }
+    }
+
+    if (!force) {
+      conflicts.push({ relativePath, reason: 'file was edited by hand', mergeable: true });
+      continue;
+    }
+
+    const { text, conflicts: conflictCount } = mergeText(
+      previousContent.toString('utf8'),
+      currentContent.toString('utf8'),
+      nextContent.toString('utf8'),
+      `add ${missing.join(' ')}`
+    );
+    changes.push({ relativePath, content: text, action: 'merge' });
+    if (conflictCount > 0) {
+      mergeNotes.push({ relativePath, reason: `${conflictCount} conflict(s) marked with <<<<<<< / >>>>>>>` });
+    }
+  }
+
+  // Nothing is written unless every file can be applied, so mococa.json never
+  // lists a feature whose files are missing from the project
+  if (conflicts.length > 0) {
+    console.log(chalk.yellow('  The following files could not be merged automatically:\n'));
+    conflicts.forEach(({ relativePath, reason }) => {
+      console.log(chalk.yellow(`  ✗ ${relativePath} (${reason})`));
+    });
+    console.log('');
+
+    if (conflicts.every(({ mergeable }) => mergeable)) {
+      console.log(chalk.red('❌ No files were changed. Revert the edits above or re-run with --force to merge them with conflict markers.\n'));
+    } else {
+      console.log(chalk.red('❌ No files were changed. Restore or move the files above, then re-run add.\n'));
+    }
+    process.exit(1);
+  }
+
+  changes.forEach(({ relativePath, content, action }) => {
+    const destPath = path.join(targetPath, relativePath);
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    fs.writeFileSync(destPath, content);
+    console.log(chalk.green(`  ✓ ${action === 'create' ? 'Created' : action === 'merge' ? 'Merged' : 'Updated'} ${relativePath}`));
+  });
+
+  if (missing.includes('api') && nextFeatures.apiType === 'elysia') {
+    console.log(chalk.cyan('\n📦 Setting up Elysia API server...\n'));
+    await cloneAndConfigureElysiaApi(targetPath, project.projectName, project.environments, nextFeatures, { apiSource });
+  }
+
+  writeManifest(targetPath, createManifest(project.projectName, project.domain, nextFeatures, project.environments, project.domainScheme));
+  console.log(chalk.green(`  ✓ Updated ${manifestFileName}`));
+
+  if (mergeNotes.length > 0) {
+    console.log(chalk.yellow('\n  The following files need your attention:\n'));
+    mergeNotes.forEach(({ relativePath, reason }) => {
+      console.log(chalk.yellow(`  ✗ ${relativePath} (${reason})`));
+    });
+    console.log(chalk.yellow(`\n⚠️  Added ${missing.join(', ')} with ${mergeNotes.length} file(s) left to review.\n`));
+  } else {
+    console.log(chalk.green(`\n✅ Added ${missing.join(', ')} successfully!\n`));
+  }
+  console.log(chalk.bold('Next steps:\n'));
+  console.log(chalk.cyan('  bun install\n'));
+}
+
+async function upgradeProject(args) {
+  console.log(chalk.bold.blue('\n🚀 Create Mococa App - upgrade\n'));
+
+  const { value: fromPath } = readFlagValue(args, '--from');
+  const { value: fromVersionFlag } = readFlagValue(args, '--from-version');
+
+  const targetPath = process.cwd();
+  const project = detectProject(targetPath);
+  const fromVersion = fromVersionFlag || project.templateVersion;
+  const toVersion = getTemplateVersion();
+  const toHash = getTemplateHash();
+
+  if (!fromVersion) {
+    console.log(chalk.red(`❌ ${manifestFileName} does not record the template version this project was generated with.`));
+    console.log(chalk.red('   Re-run with --from-version <version>.\n'));
+    process.exit(1);
+  }
+
+  // Compared by content, as unreleased templates share the version of the last release. Projects without
+  // a hash are always merged, which changes nothing when their template is the current one
+  const upToDate = project.templateHash === toHash;
+  if (upToDate && !fromPath) {
+    console.log(chalk.green(`✅ ${project.projectName} is already on template ${toVersion}, nothing to do.\n`));
+    return;
+  }
+
+  console.log(chalk.cyan(`📁 Upgrading ${project.projectName} from template ${fromVersion} to ${toVersion}...\n`));
+
+  // The old template is rendered by its own version of the CLI, so changes to generated files
+  // such as packages/constants/src/index.ts are merged like the template changes
+  let previousFiles;
+  try {
+    previousFiles = await renderPublishedTemplate(project, fromVersion, fromPath);
+  } catch (error) {
+    console.log(chalk.red(`❌ Could not render template ${fromVersion}: ${error.message}\n`));
+    process.exit(1);
+  }
+  const nextFiles = renderTemplate(project.projectName, project.domain, project.features, project.environments, project.domainScheme);
+
+  const changes = [];
+  const conflicts = [];
+  const relativePaths = [...new Set([...previousFiles.keys(), ...nextFiles.keys()])].sort();
+
+  for (const relativePath of relativePaths) {
+    const previousContent = previousFiles.get(relativePath) || null;
+    const nextContent = nextFiles.get(relativePath) || null;
+    const currentPath = path.join(targetPath, relativePath);
+    const currentContent = fs.existsSync(currentPath) ? fs.readFileSync(currentPath) : null;
+
+    // Template output did not change for this file
+    if (previousContent && nextContent && previousContent.equals(nextContent)) continue;
+
+    // Removed from the template: delete it unless the user changed it
+    if (!nextContent) {
+      if (!currentContent) continue;
+      if (currentContent.equals(previousContent)) {
+        changes.push({ relativePath, content: null, action: 'delete' });
+      } else {
+        conflicts.push({ relativePath, reason: 'removed from the template, kept your edited copy' });
+      }
+      continue;
+    }
+
+    // Already up to date
+    if (currentContent && currentContent.equals(nextContent)) continue;
+
+    if (!currentContent) {
+      if (previousContent) {
+        conflicts.push({ relativePath, reason: 'file was deleted, not recreated' });
+      } else {
+        changes.push({ relativePath, content: nextContent, action: 'create' });
+      }
+      continue;
+    }
+
+    if (previousContent && currentContent.equals(previousContent)) {
+      changes.push({ relativePath, content: nextContent, action: 'update' });
+      continue;
+    }
+
+    if (!previousContent || binaryExtensions.test(relativePath)) {
+      conflicts.push({ relativePath, reason: previousContent ? 'binary file was edited' : 'file already exists' });
+      continue;
+    }
+
+    // Hand-edited JSON files (package.json) are merged key by key, keeping the user's value on conflicts
+    if (relativePath.endsWith('.json')) {
+      try {
+        const { value, conflicts: keyConflicts } = mergeJson(
+          JSON.parse(previousContent.toString('utf8')),
+          JSON.parse(currentContent.toString('utf8')),
+          JSON.parse(nextContent.toString('utf8'))
+        );
+
+        changes.push({ relativePath, content: JSON.stringify(value, null, 2) + '\n', action: 'merge' });
+        if (keyConflicts.length > 0) {
+          conflicts.push({ relativePath, reason: `kept your value for ${keyConflicts.join(', ')}` });
+        }
+        continue;
+      } catch (error) {
+        conflicts.push({ relativePath, reason: `invalid JSON (${error.message})` });
+        continue;
+      }
+    }
+
+    const { text, conflicts: conflictCount } = mergeText(
+      previousContent.toString('utf8'),
+      currentContent.toString('utf8'),
+      nextContent.toString('utf8'),
+      `template ${toVersion}`
+    );
+    changes.push({ relativePath, content: text, action: 'merge' });
+    if (conflictCount > 0) {
+      conflicts.push({ relativePath, reason: `${conflictCount} conflict(s) marked with <<<<<<< / >>>>>>>` });
+    }
+  }
+
+  printInfrastructureChangelog(previousFiles, nextFiles, fromVersion, toVersion);
+
+  changes.forEach(({ relativePath, content, action }) => {
+    const destPath = path.join(targetPath, relativePath);
+    if (action === 'delete') {
+      fs.rmSync(destPath);
+      console.log(chalk.green(`  ✓ Removed ${relativePath}`));
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    fs.writeFileSync(destPath, content);
+    console.log(chalk.green(`  ✓ ${action === 'create' ? 'Created' : action === 'merge' ? 'Merged' : 'Updated'} ${relativePath}`));
+  });
+
+  writeManifest(targetPath, createManifest(project.projectName, project.domain, project.features, project.environments, project.domainScheme));
+  console.log(chalk.green(`  ✓ Updated ${manifestFileName}`));
+
+  if (conflicts.length > 0) {
+    console.log(chalk.yellow('\n  The following files need your attention:\n'));
+    conflicts.forEach(({ relativePath, reason }) => {
+      console.log(chalk.yellow(`  ✗ ${relativePath} (${reason})`));
+    });
+    console.log(chalk.yellow(`\n⚠️  Upgraded to template ${toVersion} with ${conflicts.length} file(s) left to review.\n`));
+  } else {
+    console.log(chalk.green(`\n✅ Upgraded to template ${toVersion} successfully!\n`));
+  }
+  console.log(chalk.bold('Next steps:\n'));
+  console.log(chalk.cyan('  bun install\n'));
+}
+
+// Renders the template of an older create-mococa-app with that version's code. The old package comes
+// from `fromPath` (a checkout, a tarball or a git URL) or from the npm package of that version
+async function renderPublishedTemplate(project, version, fromPath) {
+  const { execSync } = await import('child_process');
+  const workPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mococa-upgrade-'));
+  const source = fromPath || `create-mococa-app@${version}`;
+
+  try {
+    const packagePath = path.join(workPath, 'package');
+    if (fromPath) {
+      await fetchSource(fromPath, packagePath, 'template source');
+    } else {
+      console.log(chalk.cyan(`  Downloading ${source} from npm...`));
+      let output;
+      try {
+        output = execSync(`npm pack ${source} --loglevel=error`, { cwd: workPath, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+      } catch (error) {
+        throw new Error(`npm pack ${source} failed: ${(error.stderr || '').trim() || error.message}. Pass --from with a copy of that version`);
+      }
+      await fetchSource(path.join(workPath, output.trim().split('\n').pop()), packagePath, 'template source');
+    }
+
+    const templateDir = path.join(packagePath, 'template');
+    if (!fs.existsSync(templateDir)) {
+      throw new Error(`${source} has no template/ directory`);
+    }
+
+    // A different base would turn every template change into a conflict, or silently undo some
+    if (project.templateHash && getTemplateHash(templateDir) !== project.templateHash) {
+      if (!fromPath) {
+        throw new Error(`${source} is not the template this project was generated with (${manifestFileName} has templateHash ${project.templateHash}). Pass --from with the create-mococa-app copy it came from`);
+      }
+      console.log(chalk.yellow(`  ⚠️  ${fromPath} does not match the templateHash of ${manifestFileName}, the merge may report more conflicts`));
+    }
+
+    console.log(chalk.cyan(`  Rendering template ${version} from ${source}...`));
+    return await renderWithPackage(packagePath, project, path.join(workPath, 'render'));
+  } finally {
+    fs.rmSync(workPath, { recursive: true, force: true });
+  }
+}
+
+// Runs the renderer of a create-mococa-app package on the project's settings. The generated files
+// (constants, README, package.json scripts...) come from the CLI code, not only from template/
+async function renderWithPackage(packagePath, project, renderPath) {
+  const { projectName, domain, features, environments, domainScheme } = project;
+  const cliPath = path.join(packagePath, 'bin', 'cli.js');
+  if (!fs.existsSync(cliPath)) {
+    throw new Error(`${packagePath} has no bin/cli.js`);
+  }
+
+  // The old CLI imports chalk, prompts... from next to it, so it borrows ours unless it brings its own
+  const modulesPath = path.join(packagePath, 'node_modules');
+  if (!fs.existsSync(modulesPath)) {
+    fs.symlinkSync(findModulesDir(), modulesPath, 'junction');
+  }
+
+  const source = fs.readFileSync(cliPath, 'utf8');
+
+  // Current versions export renderTemplate and only run main() as the entry point
+  if (/^export \{[^}]*\brenderTemplate\b/m.test(source)) {
+    const { renderTemplate: renderPackageTemplate } = await import(pathToFileURL(cliPath).href);
+    return renderPackageTemplate(projectName, domain, features, environments, domainScheme);
+  }
+
+  // Earlier ones run main() when imported and write the project to disk with copyDirectory
+  const mainCall = source.lastIndexOf('\nmain()');
+  if (mainCall === -1 || !/^function copyDirectory\(/m.test(source)) {
+    throw new Error(`${cliPath} has neither renderTemplate nor copyDirectory to render its template with`);
+  }
+
+  const legacyPath = path.join(packagePath, 'bin', 'legacy-renderer.mjs');
+  fs.writeFileSync(legacyPath, `${source.slice(0, mainCall)}\nexport { copyDirectory };\n`);
+  const { copyDirectory: copyPackageDirectory } = await import(pathToFileURL(legacyPath).href);
+  copyPackageDirectory(path.join(packagePath, 'template'), renderPath, projectName, domain, features.api, features.apiType, features.lambda, features.dynamo, features.s3, features.cognito, environments);
+
+  return new Map(listFiles(renderPath).map(relativePath => [relativePath, fs.readFileSync(path.join(renderPath, relativePath))]));
+}
+
+// The node_modules directory this CLI resolves its own dependencies from
+function findModulesDir() {
+  for (let dir = __dirname; path.dirname(dir) !== dir; dir = path.dirname(dir)) {
+    const modulesPath = path.join(dir, 'node_modules');
+    if (fs.existsSync(path.join(modulesPath, 'chalk'))) return modulesPath;
+  }
+  throw new Error('could not find the node_modules directory of create-mococa-app');
+}
+
+// Lists what changed under infrastructure/ between two template versions, with the exported
+// symbols and component members that were added or removed
+function printInfrastructureChangelog(previousFiles, nextFiles, fromVersion, toVersion) {
+  const symbolPattern = /(?:export\s+(?:default\s+)?(?:abstract\s+)?(?:class|interface|function|const|type|enum)|public\s+readonly)\s+(\w+)/g;
+  const symbolsOf = (lines) => [...new Set([...lines.join('\n').matchAll(symbolPattern)].map(match => match[1]))];
+  const relativePaths = [...new Set([...previousFiles.keys(), ...nextFiles.keys()])]
+    .filter(relativePath => relativePath.startsWith(`infrastructure${path.sep}`))
+    .sort();
+
+  const entries = [];
+  for (const relativePath of relativePaths) {
+    const previousContent = previousFiles.get(relativePath);
+    const nextContent = nextFiles.get(relativePath);
+
+    if (!previousContent) {
+      entries.push(chalk.green(`  + ${relativePath}`));
+    } else if (!nextContent) {
+      entries.push(chalk.red(`  - ${relativePath}`));
+    } else if (!previousContent.equals(nextContent)) {
+      const parts = diffLines(previousContent.toString('utf8'), nextContent.toString('utf8'));
+      const added = parts.filter(part => part.added);
+      const removed = parts.filter(part => part.removed);
+      const count = (list) => list.reduce((total, part) => total + part.count, 0);
+      entries.push(chalk.yellow(`  ~ ${relativePath} (+${count(added)} -${count(removed)})`));
+
+      const addedSymbols = symbolsOf(added.map(part => part.value));
+      const removedSymbols = symbolsOf(removed.map(part => part.value));
+      addedSymbols.filter(symbol => !removedSymbols.includes(symbol)).forEach(symbol => entries.push(chalk.gray(`      added ${symbol}`)));
+      removedSymbols.filter(symbol => !addedSymbols.includes(symbol)).forEach(symbol => entries.push(chalk.gray(`      removed ${symbol}`)));
+    }
+  }
+
+  console.log(chalk.cyan(`\n📋 Infrastructure changes from ${fromVersion} to ${toVersion}:\n`));
+  console.log(entries.length > 0 ? entries.join('\n') : chalk.gray('  No changes.'));
+  console.log('');
+}
+
+// Three-way line merge: applies the base -> next changes on top of current. Regions changed on both
+// sides are kept as git-style conflict blocks
+function mergeText(base, current, next, nextLabel) {
+  const baseLines = base.split('\n');
+  const currentLines = current.split('\n');
+  const nextLines = next.split('\n');
+
+  // For every base line, its index in `lines` when the diff keeps it, -1 otherwise
+  const mapLines = (lines) => {
+    const map = new Array(baseLines.length).fill(-1);
+    let baseIndex = 0;
+    let index = 0;
+    for (const part of diffArrays(baseLines, lines)) {
+      if (part.added) {
+        index += part.count;
+      } else if (part.removed) {
+        baseIndex += part.count;
+      } else {
+        for (let i = 0; i < part.count; i++) map[baseIndex++] = index++;
+      }
+    }
+    return map;
+  };
+
+  const toCurrent = mapLines(currentLines);
+  const toNext = mapLines(nextLines);
+  const sameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+  const output = [];
+  let conflicts = 0;
+  let baseStart = 0;
+  let currentStart = 0;
+  let nextStart = 0;
+
+  const mergeRegion = (baseEnd, currentEnd, nextEnd) => {
+    const baseRegion = baseLines.slice(baseStart, baseEnd);
+    const currentRegion = currentLines.slice(currentStart, currentEnd);
+    const nextRegion = nextLines.slice(nextStart, nextEnd);
+
+    if (sameLines(currentRegion, baseRegion)) {
+      output.push(...nextRegion);
+    } else if (sameLines(nextRegion, baseRegion) || sameLines(currentRegion, nextRegion)) {
+      output.push(...currentRegion);
+    } else {
+      conflicts++;
+      output.push('<<<<<<< yours', ...currentRegion, '=======', ...nextRegion, `>>>>>>> ${nextLabel}`);
+    }
+  };
+
+  // Lines kept by both sides split the files into regions that are merged independently
+  baseLines.forEach((line, baseIndex) => {
+    if (toCurrent[baseIndex] === -1 || toNext[baseIndex] === -1) return;
+    mergeRegion(baseIndex, toCurrent[baseIndex], toNext[baseIndex]);
+    output.push(line);
+    baseStart = baseIndex + 1;
+    currentStart = toCurrent[baseIndex] + 1;
+    nextStart = toNext[baseIndex] + 1;
+  });
+  mergeRegion(baseLines.length, currentLines.length, nextLines.length);
+
+  return { text: output.join('\n'), conflicts };
+}
+
+async function generateCode(args) {
+  const [kind, ...rest] = args;
+
+  if (kind === 'lambda') {
+    generateLambda(rest);
+    return;
+  }
+
+  console.log(chalk.red(`❌ Unknown generator${kind ? ` "${kind}"` : ''}. Usage: create-mococa-app generate lambda <name> [--methods get,post] [--path /things/{id}]\n`));
+  process.exit(1);
+}
+
+// Writes one safewrapper handler per method under packages/lambdas/src, in the folder the route
+// discovery of infrastructure/src/resources/lambdas/routes.ts maps to `path`
+function generateLambda(args) {
+  console.log(chalk.bold.blue('\n🚀 Create Mococa App - generate lambda\n'));
+
+  const { value: methodsFlag, valueIndex: methodsValueIndex } = readFlagValue(args, '--methods');
+  const { value: pathFlag, valueIndex: pathValueIndex } = readFlagValue(args, '--path');
+  const [name] = args.filter((arg, index) => !arg.startsWith('-') && index !== methodsValueIndex && index !== pathValueIndex);
+
+  if (!name || !projectNamePattern.test(name)) {
+    console.log(chalk.red('❌ Missing or invalid name (lowercase letters, numbers and hyphens). Usage: create-mococa-app generate lambda <name> [--methods get,post] [--path /things/{id}]\n'));
+    process.exit(1);
+  }
+
+  const methods = (methodsFlag || 'get').split(',').map(method => method.trim().toLowerCase()).filter(Boolean);
+  const unknownMethods = methods.filter(method => !lambdaMethods.includes(method));
+  if (unknownMethods.length > 0) {
+    console.log(chalk.red(`❌ Unknown method(s): ${unknownMethods.join(', ')}. Valid methods: ${lambdaMethods.join(', ')}\n`));
+    process.exit(1);
+  }
+
+  const repeatedMethods = methods.filter((method, index) => methods.indexOf(method) !== index);
+  if (repeatedMethods.length > 0) {
+    console.log(chalk.red(`❌ Method(s) listed more than once: ${[...new Set(repeatedMethods)].join(', ')}\n`));
+    process.exit(1);
+  }
+
+  const routePath = pathFlag || `/${name}`;
+  const folders = parseRoutePath(routePath);
+
+  const targetPath = process.cwd();
+  const project = detectProject(targetPath);
+
+  if (!project.features.lambda) {
+    console.log(chalk.red('❌ Lambda is not enabled in this project. Run `create-mococa-app add lambda` first.\n'));
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(path.join(targetPath, 'infrastructure', 'src', 'resources', 'lambdas', 'routes.ts'))) {
+    console.log(chalk.red('❌ This project wires its Lambdas by hand (no infrastructure/src/resources/lambdas/routes.ts). Run `create-mococa-app upgrade` first.\n'));
+    process.exit(1);
+  }
+
+  // packages/lambdas/src/streams holds the DynamoDB stream consumers, never deployed as routes
+  if (project.features.dynamo && folders[0] === 'streams') {
+    console.log(chalk.red(`❌ Invalid path ${routePath}. /streams is reserved for DynamoDB stream consumers (packages/lambdas/src/streams)\n`));
+    process.exit(1);
+  }
+
+  const sourcePath = path.join(targetPath, 'packages', 'lambdas', 'src');
+  const existingRoutes = listLambdaRoutes(sourcePath);
+  const routeShape = routePath => routePath.replace(/\{\w+(\+?)\}/g, '{$1}');
+
+  const changes = [];
+  const duplicates = [];
+
+  // The SDK only exists with the Elysia API, and only has the anchor since `generate lambda` writes to it
+  const sdkPath = path.join('packages', 'sdk', 'src', 'index.ts');
+  const sdkContent = fs.existsSync(path.join(targetPath, sdkPath)) ? fs.readFileSync(path.join(targetPath, sdkPath), 'utf8') : null;
+  const sdkMethods = [];
+
+  for (const method of methods) {
+    if (sdkContent && sdkContent.includes(sdkMethodsAnchor)) {
+      const { methodName, content } = generateSdkMethod(method, routePath, folders);
+      if (!sdkContent.includes(content)) {
+        if (new RegExp(`^  async ${methodName}\\b`, 'm').test(sdkContent)) {
+          duplicates.push(`${sdkPath} already has a ${methodName}() method`);
+        } else {
+          sdkMethods.push({ methodName, content });
+        }
+      }
+    }
+
+    const relativePath = path.join('packages', 'lambdas', 'src', ...folders, `${method}.ts`);
+    const content = generateLambdaHandler(name, method, routePath, folders);
+    const currentPath = path.join(targetPath, relativePath);
+
+    if (fs.existsSync(currentPath)) {
+      // Same handler as a previous run: nothing to do. Anything else is a route the user already wrote
+      if (fs.readFileSync(currentPath, 'utf8') !== content) {
+        duplicates.push(`${method.toUpperCase()} ${routePath} is already handled by ${relativePath}`);
+      }
+      continue;
+    }
+
+    // Same route under another parameter name, e.g. /things/{thingId} next to /things/{id}
+    const clash = existingRoutes.find(route => route.method === method && routeShape(route.path) === routeShape(routePath));
+    if (clash) {
+      duplicates.push(`${method.toUpperCase()} ${routePath} would duplicate ${method.toUpperCase()} ${clash.path} (${path.join('packages', 'lambdas', 'src', clash.file)})`);
+      continue;
+    }
+
+    changes.push({ relativePath, content, route: `${method.toUpperCase()} ${routePath}` });
+  }
+
+  if (duplicates.length > 0) {
+    console.log(chalk.red('❌ Duplicate routes, nothing was written:\n'));
+    duplicates.forEach(duplicate => console.log(chalk.red(`  ✗ ${duplicate}`)));
+    console.log('');
+    process.exit(1);
+  }
+
+  if (changes.length === 0 && sdkMethods.length === 0) {
+    console.log(chalk.green(`✅ ${methods.map(method => method.toUpperCase()).join(', ')} ${routePath} already exist, nothing to do.\n`));
+    return;
+  }
+
+  changes.forEach(({ relativePath, content, route }) => {
+    const destPath = path.join(targetPath, relativePath);
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    fs.writeFileSync(destPath, content);
+    console.log(chalk.green(`  ✓ Created ${relativePath} (${route})`));
+  });
+
+  if (sdkMethods.length > 0) {
+    const content = sdkContent.replace(sdkMethodsAnchor, `${sdkMethods.map(sdkMethod => sdkMethod.content).join('')}${sdkMethodsAnchor}`);
+    fs.writeFileSync(path.join(targetPath, sdkPath), content);
+    sdkMethods.forEach(({ methodName }) => console.log(chalk.green(`  ✓ Added sdk.${methodName}() to ${sdkPath}`)));
+  } else if (!sdkContent) {
+    console.log(chalk.gray(`  No ${sdkPath} (it comes with --api), call the route with fetch`));
+  } else if (!sdkContent.includes(sdkMethodsAnchor)) {
+    console.log(chalk.yellow(`  ${sdkPath} has no "generate lambda" line to add the SDK methods to. Run \`create-mococa-app upgrade\` to get it`));
+  }
+
+  console.log(chalk.green(`\n✅ Generated ${name}!\n`));
+  console.log(chalk.bold('Next steps:\n'));
+  console.log(chalk.cyan('  bun run build:lambdas'));
+  console.log(chalk.cyan('  cd infrastructure && pulumi preview   # lists the new routes\n'));
+}
+
+// Turns an API Gateway path into handler folders: /things/{id} -> things/[id], /{proxy+} -> [...proxy]
+function parseRoutePath(routePath) {
+  const segments = routePath.split('/').filter(Boolean);
+
+  if (!routePath.startsWith('/')) {
+    console.log(chalk.red(`❌ Invalid path ${routePath}. It must start with /, e.g. /things/{id}\n`));
+    process.exit(1);
+  }
+
+  return segments.map((segment, index) => {
+    const param = segment.match(/^\{(\w+)(\+?)\}$/);
+    if (param && param[2] && index !== segments.length - 1) {
+      console.log(chalk.red(`❌ Invalid path ${routePath}. A greedy {${param[1]}+} segment must be the last one\n`));
+      process.exit(1);
+    }
+    if (param) return param[2] ? `[...${param[1]}]` : `[${param[1]}]`;
+
+    if (!/^[A-Za-z0-9._-]+$/.test(segment)) {
+      console.log(chalk.red(`❌ Invalid path segment "${segment}" in ${routePath}. Use letters, numbers, . _ - or {param}\n`));
+      process.exit(1);
+    }
+    return segment;
+  });
+}
+
+// Lists the handlers under packages/lambdas/src with the route each one is deployed as
+function listLambdaRoutes(sourcePath) {
+  if (!fs.existsSync(sourcePath)) return [];
+
+  return listFiles(sourcePath)
+    .filter(file => file.split(path.sep)[0] !== 'common')
+    .map(file => {
+      const folders = file.split(path.sep);
+      const method = folders.pop().replace(/\.ts$/, '');
+      const segments = folders.map(folder => folder.replace(/^\[\.\.\.(\w+)\]$/, '{$1+}').replace(/^\[(\w+)\]$/, '{$1}'));
+      return { method, path: `/${segments.join('/')}`, file };
+    })
+    .filter(route => lambdaMethods.includes(route.method));
+}
+
+// SDK method calling a route through requestLambda: GET /things/{id} -> getThingsById(id),
+// POST /things -> postThings(body), ANY /files/{key+} -> requestFilesByKey(method, key, body)
+function generateSdkMethod(method, routePath, folders) {
+  const pascalCase = (word) => word.split(/[^A-Za-z0-9]+/).filter(Boolean).map(part => part[0].toUpperCase() + part.slice(1)).join('');
+  const params = folders
+    .map(folder => (folder.match(/^\[(?:\.\.\.)?(\w+)\]$/) || [])[1])
+    .filter(Boolean);
+  const words = folders.filter(folder => !folder.startsWith('['));
+  const hasBody = ['post', 'put', 'patch', 'any'].includes(method);
+
+  const methodName = `${method === 'any' ? 'request' : method}${words.map(pascalCase).join('') || 'Root'}${params.length > 0 ? `By${params.map(pascalCase).join('And')}` : ''}`;
+  const args = [
+    method === 'any' && 'method: string',
+    ...params.map(param => `${param}: string`),
+    hasBody && `body${method === 'any' ? '?' : ''}: Record<string, unknown>`,
+  ].filter(Boolean);
+
+  // Greedy parameters keep their slashes, each segment is encoded on its own
+  const url = params.length > 0
+    ? `\`${routePath.replace(/\{(\w+)(\+?)\}/g, (match, param, greedy) => greedy ? `\${${param}.split('/').map(encodeURIComponent).join('/')}` : `\${encodeURIComponent(${param})}`)}\``
+    : `'${routePath}'`;
+  const init = method === 'any'
+    ? ', { method, body: body && JSON.stringify(body) }'
+    : hasBody ? `, { method: '${method.toUpperCase()}', body: JSON.stringify(body) }` : method === 'delete' ? ", { method: 'DELETE' }" : '';
+
+  const lines = [
+    '  /**',
+    `   * Calls \`${method.toUpperCase()} ${routePath}\` (packages/lambdas/src/${[...folders, `${method}.ts`].join('/')}).`,
+    '   *',
+    ...(method === 'any' ? ['   * @param method - HTTP method of the request.'] : []),
+    ...params.map(param => `   * @param ${param} - Path parameter \`${param}\`.`),
+    ...(hasBody ? ['   * @param body - JSON request body.'] : []),
+    '   * @returns The JSON response of the handler.',
+    '   */',
+    `  async ${methodName}<T = unknown>(${args.join(', ')}): Promise<T> {`,
+    `    return this.requestLambda<T>(${url}${init});`,
+    '  }',
+    '',
+    '',
+  ];
+
+  return { methodName, content: lines.join('\n') };
+}
+
+function generateLambdaHandler(name, method, routePath, folders) {
+  const commonImport = `${'../'.repeat(folders.length) || './'}common`;
+  const params = folders
+    .map(folder => (folder.match(/^\[(?:\.\.\.)?(\w+)\]$/) || [])[1])
+    .filter(Boolean);
+  const hasBody = ['post', 'put', 'patch', 'any'].includes(method);
+
+  const helpers = ['json', hasBody && 'parseJson', params.length > 0 && 'readPath', 'safewrapper'].filter(Boolean);
+  const lines = [`import { ${helpers.join(', ')} } from '${commonImport}';`, ''];
+
+  if (hasBody) {
+    lines.push('// Describe the JSON request body here', 'type Body = Record<string, unknown>;', '');
+  }
+
+  lines.push(`// ${method.toUpperCase()} ${routePath}`);
+  lines.push('export const handler = safewrapper(async (event) => {');
+  if (params.length > 0) {
+    lines.push(`  const { ${params.join(', ')} } = readPath(event, { ${params.map(param => `${param}: 'string'`).join(', ')} });`);
+  }
+  if (hasBody) {
+    lines.push('  const body = parseJson<Body>(event);');
+  }
+  if (params.length > 0 || hasBody) {
+    lines.push('');
+  }
+
+  const responseFields = [`      message: 'Hello from ${method.toUpperCase()} ${name} Lambda!',`];
+  params.forEach(param => responseFields.push(`      ${param},`));
+  if (hasBody) responseFields.push('      receivedData: body,');
+  if (!hasBody) responseFields.push('      queryParams: event.queryStringParameters,');
+
+  // 201 for a created resource, json() answers 200 otherwise
+  if (method === 'post') {
+    lines.push('  return json(', '    {', ...responseFields, '    },', '    { statusCode: 201 },', '  );');
+  } else {
+    lines.push('  return json({', ...responseFields.map(field => field.slice(2)), '  });');
+  }
+  lines.push('});', '');
+
+  return lines.join('\n');
+}
+
+// Reads `--flag value` or `--flag=value`. The name must match exactly, so --domain does not read --domain-pattern
+function readFlagValue(args, flagName) {
+  const flagIndex = args.findIndex(arg => arg === flagName || arg.startsWith(`${flagName}=`));
+  if (flagIndex === -1) return { value: null, valueIndex: -1 };
+
+  const flagArg = args[flagIndex];
+  if (flagArg.includes('=')) {
+    return { value: flagArg.slice(flagArg.indexOf('=') + 1), valueIndex: -1 };
+  }
+
+  if (args[flagIndex + 1] && !args[flagIndex + 1].startsWith('--')) {
+    return { value: args[flagIndex + 1], valueIndex: flagIndex + 1 };
+  }
+
+  return { value: null, valueIndex: -1 };
+}
+
+// Reads every `--flag value` / `--flag=value` occurrence of a repeatable flag
+function readFlagValues(args, flagName) {
+  const values = [];
+  const valueIndexes = [];
+
+  args.forEach((arg, index) => {
+    if (arg.startsWith(`${flagName}=`)) {
+      values.push(arg.slice(flagName.length + 1));
+    } else if (arg === flagName && args[index + 1] && !args[index + 1].startsWith('--')) {
+      values.push(args[index + 1]);
+      valueIndexes.push(index + 1);
+    }
+  });
+
+  return { values, valueIndexes };
+}
+
+// Reads the project name, domain, environments and enabled features back from a generated project.
+// Prefers the manifest and falls back to inspecting the files for projects created before it existed.
+function detectProject(targetPath) {
+  const manifestPath = path.join(targetPath, manifestFileName);
+  if (fs.existsSync(manifestPath)) {
+    return loadManifest(manifestPath);
+  }
+
+  const constantsPath = path.join(targetPath, 'packages', 'constants', 'src', 'index.ts');
+  if (!fs.existsSync(constantsPath)) {
+    console.log(chalk.red('❌ packages/constants/src/index.ts not found. Run this command from the root of a create-mococa-app project.\n'));
+    process.exit(1);
+  }
+
+  const constants = fs.readFileSync(constantsPath, 'utf8');
+  const projectName = (constants.match(/export const PROJECT_NAME = '([^']+)';/) || [])[1];
+  const domain = (constants.match(/export const DOMAIN_BASE = '([^']+)';/) || [])[1];
+  const environmentsBlock = (constants.match(/export const ENVIRONMENTS = \{([\s\S]*?)\} as const;/) || [])[1];
+
+  if (!projectName || !domain || !environmentsBlock) {
+    console.log(chalk.red('❌ Could not read PROJECT_NAME, DOMAIN_BASE or ENVIRONMENTS from packages/constants/src/index.ts.\n'));
+    process.exit(1);
+  }
+
+  const environments = [...environmentsBlock.matchAll(/^\s*'?([a-z0-9-]+)'?:/gm)].map(match => match[1]);
+  const exists = (...segments) => fs.existsSync(path.join(targetPath, ...segments));
+
+  return {
+    templateVersion: null,
+    templateHash: null,
+    projectName,
+    domain,
+    environments,
+    domainScheme: { bases: {}, patterns: {} },
+    features: {
+      api: exists('apps', 'api'),
+      apiType: 'elysia',
+      cognito: exists('infrastructure', 'src', 'resources', 'cognito.ts'),
+      lambda: exists('packages', 'lambdas'),
+      dynamo: exists('infrastructure', 'src', 'resources', 'dynamo.ts'),
+      s3: exists('infrastructure', 'src', 'resources', 's3-storage.ts'),
+      cdn: exists('infrastructure', 'src', 'resources', 's3-website.ts') &&
+        fs.readFileSync(path.join(targetPath, 'infrastructure', 'src', 'resources', 's3-website.ts'), 'utf8').includes('cloudfront.Distribution'),
+    },
+  };
+}
+
+function getTemplateVersion() {
+  const pkg = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../package.json'), 'utf8'));
+  return pkg.version;
+}
+
+// Hash of the template files, which tells templates apart when the package version was not bumped
+function getTemplateHash(templateDir = path.resolve(__dirname, '../template')) {
+  const hash = crypto.createHash('sha256');
+  for (const relativePath of listFiles(templateDir).sort()) {
+    hash.update(`${relativePath.split(path.sep).join('/')}\0`);
+    hash.update(fs.readFileSync(path.join(templateDir, relativePath)));
+    hash.update('\0');
+  }
+  return hash.digest('hex').slice(0, 16);
+}
+
+function createManifest(projectName, domain, features, environments, domainScheme, template = { version: getTemplateVersion(), hash: getTemplateHash() }) {
+  const manifest = {
+    templateVersion: template.version,
+    templateHash: template.hash || undefined,
+    projectName,
+    domain,
+    environments,
+    features: {
+      api: features.api,
+      apiType: features.apiType,
+      cognito: features.cognito,
+      lambda: features.lambda,
+      dynamo: features.dynamo,
+      s3: features.s3,
+      cdn: features.cdn,
+    },
+  };
+
+  // Only recorded when it differs from the default naming
+  if (Object.keys(domainScheme.bases).length > 0 || Object.keys(domainScheme.patterns).length > 0) {
+    manifest.domainScheme = domainScheme;
+  }
+
+  return manifest;
+}
+
+function writeManifest(targetPath, manifest, output = diskFs) {
+  // Lists such as environments stay on one line, like `biome format` prints them
+  const content = JSON.stringify(manifest, null, 2)
+    .replace(/\[\n\s+([^[\]{}]*?)\n\s+\]/g, (list, items) => `[${items.split(/,\n\s+/).join(', ')}]`);
+  output.writeFileSync(path.join(targetPath, manifestFileName), content + '\n');
+}
+
+// Validates a manifest and returns one message per bad field
+function validateManifest(manifest) {
+  const errors = [];
+
+  if (!isObject(manifest)) return ['(root): expected an object'];
+
+  const knownFields = ['$schema', 'templateVersion', 'templateHash', 'projectName', 'domain', 'environments', 'features', 'domainScheme'];
+  Object.keys(manifest)
+    .filter(key => !knownFields.includes(key))
+    .forEach(key => errors.push(`${key}: unknown field`));
+
+  if (manifest.templateVersion !== undefined && typeof manifest.templateVersion !== 'string') {
+    errors.push('templateVersion: expected a string');
+  }
+
+  if (manifest.templateHash !== undefined && (typeof manifest.templateHash !== 'string' || !/^[0-9a-f]+$/.test(manifest.templateHash))) {
+    errors.push('templateHash: expected a hexadecimal string');
+  }
+
+  if (typeof manifest.projectName !== 'string' || !projectNamePattern.test(manifest.projectName)) {
+    errors.push('projectName: required, can only contain lowercase letters, numbers, and hyphens');
+  }
+
+  if (manifest.domain !== undefined && (typeof manifest.domain !== 'string' || !domainPattern.test(manifest.domain))) {
+    errors.push('domain: expected a valid domain (e.g., example.com)');
+  }
+
+  if (manifest.environments !== undefined) {
+    if (!Array.isArray(manifest.environments) || manifest.environments.length === 0) {
+      errors.push('environments: expected a non-empty array of environment names');
+    } else {
+      manifest.environments.forEach((env, index) => {
+        if (typeof env !== 'string' || !environmentPattern.test(env)) {
+          errors.push(`environments[${index}]: can only contain lowercase letters, numbers, and hyphens`);
+        } else if (manifest.environments.indexOf(env) !== index) {
+          errors.push(`environments[${index}]: duplicate environment "${env}"`);
+        } else if (env === 'local') {
+          errors.push(`environments[${index}]: "local" is reserved for the stack running on emulators`);
+        }
+      });
+    }
+  }
+
+  if (manifest.features !== undefined) {
+    if (!isObject(manifest.features)) {
+      errors.push('features: expected an object');
+    } else {
+      Object.entries(manifest.features).forEach(([key, value]) => {
+        if (key === 'apiType') {
+          if (!apiTypes.includes(value)) errors.push(`features.apiType: expected one of ${apiTypes.join(', ')}`);
+        } else if (!addableFeatures.includes(key)) {
+          errors.push(`features.${key}: unknown feature (valid features: ${addableFeatures.join(', ')})`);
+        } else if (typeof value !== 'boolean') {
+          errors.push(`features.${key}: expected a boolean`);
+        }
+      });
+    }
+  }
+
+  if (manifest.domainScheme !== undefined) {
+    const { bases = {}, patterns = {}, ...unknown } = isObject(manifest.domainScheme) ? manifest.domainScheme : {};
+
+    if (!isObject(manifest.domainScheme)) {
+      errors.push('domainScheme: expected an object');
+    }
+    Object.keys(unknown).forEach(key => errors.push(`domainScheme.${key}: unknown field (expected bases or patterns)`));
+
+    if (!isObject(bases)) {
+      errors.push('domainScheme.bases: expected an object of environment → domain');
+    } else {
+      Object.entries(bases).forEach(([env, base]) => {
+        if (typeof base !== 'string' || !domainPattern.test(base)) {
+          errors.push(`domainScheme.bases.${env}: expected a valid domain (e.g., example.com)`);
+        }
+      });
+    }
+
+    if (!isObject(patterns)) {
+      errors.push('domainScheme.patterns: expected an object of app → patterns');
+    } else {
+      Object.entries(patterns).forEach(([app, appPatterns]) => {
+        if (!domainApps.includes(app)) {
+          errors.push(`domainScheme.patterns.${app}: unknown app (valid apps: ${domainApps.join(', ')})`);
+        } else if (!isObject(appPatterns)) {
+          errors.push(`domainScheme.patterns.${app}: expected an object of environment (or "default") → pattern`);
+        } else {
+          Object.entries(appPatterns).forEach(([env, pattern]) => {
+            const error = validateDomainPattern(pattern);
+            if (error) errors.push(`domainScheme.patterns.${app}.${env}: ${error}`);
+          });
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+// Reads and validates a manifest file, exiting with a report of every bad field
+function loadManifest(filePath) {
+  const relativePath = path.relative(process.cwd(), filePath) || filePath;
 
-    fs.rmSync(targetPath, { recursive: true, force: true });
+  if (!fs.existsSync(filePath)) {
+    console.log(chalk.red(`\n❌ Config file ${relativePath} not found\n`));
+    process.exit(1);
   }
 
-  // For current directory, check if it has files (warn but don't delete)
-  if (targetDir === '.' && fs.existsSync(targetPath)) {
-    const files = fs.readdirSync(targetPath);
-    if (files.length > 0) {
-      const { proceed } = await prompts({
-        type: 'confirm',
-        name: 'proceed',
-        message: 'Current directory is not empty. Files may be overwritten. Continue?',
-        initial: false,
-      });
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.log(chalk.red(`\n❌ Config file ${relativePath} is not valid JSON: ${error.message}\n`));
+    process.exit(1);
+  }
 
-      if (!proceed) {
-        console.log(chalk.red('\n❌ Setup cancelled\n'));
-        process.exit(1);
-      }
-    }
+  const errors = validateManifest(manifest);
+  if (errors.length > 0) {
+    console.log(chalk.red(`\n❌ Invalid config file ${relativePath}:\n`));
+    errors.forEach(error => console.log(chalk.red(`  ✗ ${error}`)));
+    console.log('');
+    process.exit(1);
   }
 
-  console.log(chalk.cyan(`\n📁 Creating project in ${targetPath}...\n`));
+  const features = manifest.features || {};
+  const domainScheme = manifest.domainScheme || {};
+
+  return {
+    templateVersion: manifest.templateVersion || null,
+    templateHash: manifest.templateHash || null,
+    projectName: manifest.projectName,
+    domain: manifest.domain || `${manifest.projectName}.com`,
+    environments: manifest.environments || ['production'],
+    domainScheme: { bases: domainScheme.bases || {}, patterns: domainScheme.patterns || {} },
+    features: {
+      api: features.api || false,
+      apiType: features.apiType || 'elysia',
+      cognito: features.cognito || false,
+      lambda: features.lambda || false,
+      dynamo: features.dynamo || false,
+      s3: features.s3 || false,
+      cdn: features.cdn || false,
+    },
+  };
+}
 
-  // Copy template
-  const templateDir = path.resolve(__dirname, '../template');
-  copyDirectory(templateDir, targetPath, projectName, domain, finalIncludeApi, finalApiType, finalIncludeLambda, finalIncludeDynamo, finalIncludeS3, finalIncludeCognito, environments);
+// Renders the template in memory and returns its files keyed by path relative to the project root
+function renderTemplate(projectName, domain, features, environments, domainScheme, templateDir = path.resolve(__dirname, '../template')) {
+  const virtualFs = createVirtualFs();
+  copyDirectory(templateDir, '/', projectName, domain, features, environments, domainScheme, virtualFs);
 
-  // Clone and configure API if needed
-  if (finalIncludeApi && finalApiType === 'elysia') {
-    console.log(chalk.cyan('\n📦 Setting up Elysia API server...\n'));
-    await cloneAndConfigureElysiaApi(targetPath, projectName, environments, finalIncludeCognito);
-  }
+  return new Map([...virtualFs.files].map(([filePath, content]) => [path.relative('/', filePath), content]));
+}
 
-  const features = [];
-  if (finalIncludeApi) features.push(`${finalApiType === 'elysia' ? 'Elysia' : 'API'} Server`);
-  if (finalIncludeLambda) features.push('Lambda');
-  if (finalIncludeDynamo) features.push('DynamoDB');
-  if (finalIncludeS3) features.push('S3 Storage');
-  if (finalIncludeCognito) features.push('Cognito');
+// Plain objects, as opposed to arrays and null
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
 
-  if (features.length > 0) {
-    console.log(chalk.green(`✅ Project created successfully with ${features.join(' + ')} support!\n`));
-  } else {
-    console.log(chalk.green('✅ Project created successfully!\n'));
+function isDeepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => isDeepEqual(a[key], b[key]));
+}
+
+// Lists every file under a directory as paths relative to it
+function listFiles(dir, root = dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(entryPath, root) : [path.relative(root, entryPath)];
+  });
+}
+
+// Three-way merge of JSON values: applies the base -> next changes on top of current
+function mergeJson(base, current, next, keyPath = []) {
+  if (isDeepEqual(base, next)) return { value: current, conflicts: [] };
+  if (isDeepEqual(base, current) || isDeepEqual(current, next)) return { value: next, conflicts: [] };
+
+  if (isObject(current) && isObject(next)) {
+    const baseObject = isObject(base) ? base : {};
+    const value = {};
+    const conflicts = [];
+    const keys = [...new Set([...Object.keys(current), ...Object.keys(next)])];
+
+    keys.forEach(key => {
+      const merged = mergeJson(baseObject[key], current[key], next[key], [...keyPath, key]);
+      if (merged.value !== undefined) value[key] = merged.value;
+      conflicts.push(...merged.conflicts);
+    });
+
+    return { value, conflicts };
   }
-  console.log(chalk.bold('Next steps:\n'));
-  console.log(chalk.cyan(`  cd ${targetDir}`));
-  console.log(chalk.cyan('  bun install'));
-  console.log(chalk.cyan('  bun start\n'));
+
+  return { value: current, conflicts: [keyPath.join('.') || '(root)'] };
 }
 
-async function cloneAndConfigureElysiaApi(targetPath, projectName, environments, includeCognito) {
-  const { execSync } = await import('child_process');
+// `finalPath` is where the project ends up when it is generated in a staging directory first
+async function cloneAndConfigureElysiaApi(targetPath, projectName, environments, features, { finalPath = targetPath, apiSource = defaultApiSource } = {}) {
   const apiPath = path.join(targetPath, 'apps', 'api');
 
   try {
-    // Clone bun-mococa repository
-    console.log(chalk.cyan('  Cloning bun-mococa repository...'));
-    execSync(`git clone git@github.com:mococa/bun-mococa.git "${apiPath}"`, { stdio: 'inherit' });
+    await fetchSource(apiSource, apiPath, 'API source');
+
+    // Every edit below relies on anchors in the upstream files. Check them all up front,
+    // so a drifted upstream layout fails loudly instead of leaving a half-configured API
+    console.log(chalk.cyan('  Checking API source layout...'));
+    const drift = [];
+    const readSourceFile = (relativePath) => {
+      const filePath = path.join(apiPath, relativePath);
+      if (!fs.existsSync(filePath)) {
+        drift.push(`${relativePath}: file not found`);
+        return null;
+      }
+      return fs.readFileSync(filePath, 'utf8');
+    };
+
+    const pkgPath = path.join(apiPath, 'package.json');
+    const mainPath = path.join(apiPath, 'src', 'main.ts');
+    const authHandlerPath = path.join(apiPath, 'src', 'handlers', 'public', 'auth.ts');
+    const pkgContent = readSourceFile('package.json');
+    let mainContent = readSourceFile(path.join('src', 'main.ts'));
+    let authContent = readSourceFile(path.join('src', 'handlers', 'public', 'auth.ts'));
+    readSourceFile('.env.example');
+
+    if (mainContent !== null) {
+      const location = path.join('src', 'main.ts');
+
+      // Add constants import
+      const includeLocal = features.dynamo || features.s3;
+      const constantsNames = includeLocal ? 'DOMAINS, LOCAL_AWS_ENV, LOCAL_ENVIRONMENT, type Environment' : 'DOMAINS, type Environment';
+      mainContent = replaceAnchor(
+        mainContent,
+        "import { services } from './services';",
+        `import { services } from './services';\nimport { ${constantsNames} } from '@${projectName}/constants';`,
+        `${location}: services import`,
+        drift
+      );
+
+      // The AWS SDK reads the endpoints of the local emulators from the environment, when the clients make their first call
+      const localEndpoints = includeLocal
+        ? `\n  if (process.env.ENVIRONMENT === LOCAL_ENVIRONMENT) {\n    for (const [name, value] of Object.entries(LOCAL_AWS_ENV)) {\n      process.env[name] ??= value;\n    }\n  }\n`
+        : '';
+
+      // Update CORS configuration. The local environment has no domains
+      mainContent = replaceAnchor(
+        mainContent,
+        /async function createApp\(\) \{\n  const app = new Elysia\(/,
+        `async function createApp() {\n  const environment = (process.env.ENVIRONMENT || 'production') as Environment;\n  const allowedOrigins = ['http://localhost:3000', ...Object.values(DOMAINS).filter(envDomains => envDomains[environment]).map(envDomains => \`https://\${envDomains[environment]}\`)];\n${localEndpoints}\n  const app = new Elysia(`,
+        `${location}: createApp() opening with \`const app = new Elysia(\``,
+        drift
+      );
+
+      mainContent = replaceAnchor(
+        mainContent,
+        /\.use\(cors\(\{\n      origin: \[.*?\],/s,
+        `.use(cors({\n      origin: allowedOrigins,`,
+        `${location}: cors({ origin: [...] }) option`,
+        drift
+      );
+    }
+
+    // Remove Cognito-related auth endpoints if --cognito flag is not set.
+    // Only needed for bun-mococa revisions whose auth.ts has no conditional markers yet.
+    const authUsesMarkers = authContent !== null && /^\s*\/\/\s*@if\b/m.test(authContent);
+    const removeCognitoAuth = authContent !== null && !features.cognito && !authUsesMarkers;
+    if (removeCognitoAuth) {
+      authContent = legacyCognitoAuthEdits.reduce(
+        (content, { pattern, description }) =>
+          replaceAnchor(content, pattern, '', `${path.join('src', 'handlers', 'public', 'auth.ts')}: ${description}`, drift),
+        authContent
+      );
+    }
 
-    // Remove .git directory
-    console.log(chalk.cyan('  Removing git history...'));
-    fs.rmSync(path.join(apiPath, '.git'), { recursive: true, force: true });
+    if (drift.length > 0) {
+      fs.rmSync(apiPath, { recursive: true, force: true });
+      throw new Error(
+        `API source ${apiSource} does not match the layout this version of create-mococa-app expects:\n` +
+        drift.map(entry => `      - ${entry}`).join('\n') +
+        '\n    Pin a compatible revision with --api-source <git-url>#<ref>, or point it at a local copy.'
+      );
+    }
 
     // Update package.json
     console.log(chalk.cyan('  Updating package.json...'));
-    const pkgPath = path.join(apiPath, 'package.json');
-    const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+    const pkg = JSON.parse(pkgContent);
     pkg.name = `@${projectName}/api`;
     if (pkg.scripts && pkg.scripts.fmt) {
       delete pkg.scripts.fmt;
@@ -446,33 +2223,21 @@ async function cloneAndConfigureElysiaApi(targetPath, projectName, environments,
 
     // Update main.ts with constants import and CORS configuration
     console.log(chalk.cyan('  Configuring CORS and constants...'));
-    const mainPath = path.join(apiPath, 'src', 'main.ts');
-    let mainContent = fs.readFileSync(mainPath, 'utf8');
-
-    // Add constants import
-    mainContent = mainContent.replace(
-      "import { services } from './services';",
-      `import { services } from './services';\nimport { DOMAINS, type Environment } from '@${projectName}/constants';`
-    );
-
-    // Update CORS configuration
-    mainContent = mainContent.replace(
-      /async function createApp\(\) \{\n  const app = new Elysia\(/,
-      `async function createApp() {\n  const environment = (process.env.ENVIRONMENT || 'production') as Environment;\n  const allowedOrigins = ['http://localhost:3000', ...Object.values(DOMAINS).map(envDomains => \`https://\${envDomains[environment]}\`)];\n\n  const app = new Elysia(`
-    );
-
-    mainContent = mainContent.replace(
-      /\.use\(cors\(\{\n      origin: \[.*?\],/s,
-      `.use(cors({\n      origin: allowedOrigins,`
-    );
-
     fs.writeFileSync(mainPath, mainContent);
 
+    if (removeCognitoAuth) {
+      console.log(chalk.cyan('  Removing Cognito authentication endpoints...'));
+      fs.writeFileSync(authHandlerPath, authContent);
+    }
+
     // Update .env.example
     console.log(chalk.cyan('  Updating environment configuration...'));
     const envExamplePath = path.join(apiPath, '.env.example');
     let envContent = fs.readFileSync(envExamplePath, 'utf8');
-    // No changes needed - .env.example already has ENVIRONMENT variable
+    // .env.example already has the ENVIRONMENT variable, only the local environment needs a word
+    if ((features.dynamo || features.s3) && !envContent.includes('local:up')) {
+      envContent = `${envContent.trimEnd()}\n\n# ENVIRONMENT=local uses the DynamoDB and S3 emulators of \`bun run local:up\` (LOCAL_AWS_ENV in @${projectName}/constants)\n`;
+    }
     fs.writeFileSync(envExamplePath, envContent);
 
     // Update docker-compose.yml with project-specific names
@@ -495,7 +2260,7 @@ async function cloneAndConfigureElysiaApi(targetPath, projectName, environments,
       serviceContent = serviceContent.replace(/\{\{PROJECT_NAME\}\}/g, projectName.toUpperCase().replace(/-/g, '_'));
       serviceContent = serviceContent.replace(/\{\{project-name\}\}/g, projectName);
       serviceContent = serviceContent.replace(/\{\{USER\}\}/g, process.env.USER || 'user');
-      serviceContent = serviceContent.replace(/\{\{WORKING_DIRECTORY\}\}/g, path.resolve(apiPath));
+      serviceContent = serviceContent.replace(/\{\{WORKING_DIRECTORY\}\}/g, path.resolve(finalPath, 'apps', 'api'));
 
       // Rename file to project-specific name
       const newServiceName = `${projectName}-api.service`;
@@ -526,102 +2291,305 @@ async function cloneAndConfigureElysiaApi(targetPath, projectName, environments,
       fs.writeFileSync(apiReadmePath, readmeContent);
     }
 
-    // Remove Cognito-related auth endpoints if --cognito flag is not set
-    if (!includeCognito) {
-      console.log(chalk.cyan('  Removing Cognito authentication endpoints...'));
-      const authHandlerPath = path.join(apiPath, 'src', 'handlers', 'public', 'auth.ts');
-      let authContent = fs.readFileSync(authHandlerPath, 'utf8');
+    // Evaluate `// @if <condition>` ... `// @endif` blocks shipped with the API source
+    console.log(chalk.cyan('  Applying conditional blocks...'));
+    const conditions = createTemplateConditions(features);
+    for (const relativePath of listFiles(apiPath)) {
+      const filePath = path.join(apiPath, relativePath);
+      const content = fs.readFileSync(filePath, 'utf8');
+      const rendered = renderConditionalBlocks(content, conditions, path.join('apps', 'api', relativePath));
+      if (rendered !== content) {
+        fs.writeFileSync(filePath, rendered);
+      }
+    }
 
-      // Remove login endpoint
-      authContent = authContent.replace(
-        /\/\*\* Login with email \+ password \*\/[\s\S]*?\.post\('\/login'[\s\S]*?\}, \{ body: schemas\.login \}\)\n/,
-        ''
-      );
+    console.log(chalk.green('  ✓ Elysia API server configured successfully\n'));
+  } catch (error) {
+    console.error(chalk.red(`  ✗ Failed to setup Elysia API: ${error.message}`));
+    throw error;
+  }
+}
 
-      // Remove register endpoint
-      authContent = authContent.replace(
-        /\/\*\* Register with email \+ password \*\/[\s\S]*?\.post\('\/register'[\s\S]*?\}, \{ body: schemas\.register\}\)\n/,
-        ''
-      );
+// Cognito-only parts of bun-mococa's auth.ts, removed when --cognito is not set
+const legacyCognitoAuthEdits = [
+  { description: 'login endpoint', pattern: /\/\*\* Login with email \+ password \*\/[\s\S]*?\.post\('\/login'[\s\S]*?\}, \{ body: schemas\.login \}\)\n/ },
+  { description: 'register endpoint', pattern: /\/\*\* Register with email \+ password \*\/[\s\S]*?\.post\('\/register'[\s\S]*?\}, \{ body: schemas\.register\}\)\n/ },
+  { description: 'confirm-email endpoint', pattern: /\/\*\* Confirm email with code[\s\S]*?\.post\('\/confirm-email'[\s\S]*?\}, \{ body: schemas\.confirmEmail \}\)\n/ },
+  { description: 'resend-confirmation-code endpoint', pattern: /\/\*\* Resend confirmation code[\s\S]*?\.post\('\/resend-confirmation-code'[\s\S]*?\}, \{ body: schemas\.resendConfirmationCode \}\)\n/ },
+  { description: 'forgot-password endpoint', pattern: /\/\*\* Initiate forgot password[\s\S]*?\.post\('\/forgot-password'[\s\S]*?\}, \{ body: schemas\.forgotPassword \}\)\n/ },
+  { description: 'reset-password endpoint', pattern: /\/\*\* Complete password reset[\s\S]*?\.post\('\/reset-password'[\s\S]*?\}, \{ body: schemas\.resetPassword \}\);/ },
+  { description: 'UserNotConfirmed error class', pattern: /class UserNotConfirmed[\s\S]*?\}\n\n/ },
+  { description: 'CodeMismatch error class', pattern: /class CodeMismatch[\s\S]*?\}\n\n/ },
+  { description: 'UserAlreadyExists error class', pattern: /class UserAlreadyExists[\s\S]*?\}\n\n/ },
+  { description: 'RegistrationError error class', pattern: /class RegistrationError[\s\S]*?\}\n\n/ },
+  { description: 'LoginError error class', pattern: /class LoginError[\s\S]*?\}\n\n/ },
+  { description: 'email schema', pattern: /\/\*\*\n \* Email validation schema[\s\S]*?const emailSchema = t\.String\(\{format: 'email', error: 'Invalid email format' \}\);\n\n/ },
+  { description: 'password schema', pattern: /\/\*\*\n \* Strong password validation schema[\s\S]*?const passwordSchema = t\.String\(\{minLength: 8[\s\S]*?\}\);\n\n/ },
+  { description: 'confirmation code schema', pattern: /\/\*\*\n \* 6-digit numeric confirmation code[\s\S]*?const codeSchema = t\.String\(\{minLength: 6[\s\S]*?\}\);\n\n/ },
+  { description: 'email auth schemas', pattern: /const schemas = \{[\s\S]*?login: t\.Object\(\{[\s\S]*?\}\),[\s\S]*?register: t\.Object\(\{[\s\S]*?\}\),[\s\S]*?confirmEmail:[\s\S]*?\}\),[\s\S]*?forgotPassword:[\s\S]*?\}\),[\s\S]*?resendConfirmationCode:[\s\S]*?\}\),[\s\S]*?resetPassword:[\s\S]*?\}\),[\s\S]*?\}/ },
+];
+
+// Replaces `pattern` in `content`, recording `description` in `drift` when the anchor is missing
+function replaceAnchor(content, pattern, replacement, description, drift) {
+  const found = typeof pattern === 'string' ? content.includes(pattern) : content.search(pattern) !== -1;
+  if (!found) {
+    drift.push(description);
+    return content;
+  }
+  return content.replace(pattern, replacement);
+}
 
-      // Remove confirm-email endpoint
-      authContent = authContent.replace(
-        /\/\*\* Confirm email with code[\s\S]*?\.post\('\/confirm-email'[\s\S]*?\}, \{ body: schemas\.confirmEmail \}\)\n/,
-        ''
-      );
+// Copies a source tree (the Elysia API, or an older create-mococa-app for upgrade) into `destPath` from a
+// local directory, a tarball (local or https) or a git URL with an optional `#ref`. `label` names it in messages
+async function fetchSource(source, destPath, label) {
+  const { execSync } = await import('child_process');
+  const localPath = path.resolve(process.cwd(), source);
+  const copyFilter = (src) => !['.git', 'node_modules'].includes(path.basename(src));
 
-      // Remove resend-confirmation-code endpoint
-      authContent = authContent.replace(
-        /\/\*\* Resend confirmation code[\s\S]*?\.post\('\/resend-confirmation-code'[\s\S]*?\}, \{ body: schemas\.resendConfirmationCode \}\)\n/,
-        ''
-      );
+  if (fs.existsSync(localPath) && fs.statSync(localPath).isDirectory()) {
+    console.log(chalk.cyan(`  Copying ${label} from ${localPath}...`));
+    fs.cpSync(localPath, destPath, { recursive: true, filter: copyFilter });
+    return;
+  }
 
-      // Remove forgot-password endpoint
-      authContent = authContent.replace(
-        /\/\*\* Initiate forgot password[\s\S]*?\.post\('\/forgot-password'[\s\S]*?\}, \{ body: schemas\.forgotPassword \}\)\n/,
-        ''
-      );
+  if (tarballPattern.test(source)) {
+    const extractPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mococa-source-'));
+    try {
+      let tarballPath = localPath;
+      if (/^https?:\/\//.test(source)) {
+        console.log(chalk.cyan(`  Downloading ${label} from ${source}...`));
+        const response = await fetch(source);
+        if (!response.ok) throw new Error(`Download of ${source} failed with HTTP ${response.status}`);
+        tarballPath = path.join(extractPath, path.basename(new URL(source).pathname));
+        fs.writeFileSync(tarballPath, Buffer.from(await response.arrayBuffer()));
+      } else if (!fs.existsSync(localPath)) {
+        throw new Error(`${label} ${source} does not exist`);
+      }
 
-      // Remove reset-password endpoint
-      authContent = authContent.replace(
-        /\/\*\* Complete password reset[\s\S]*?\.post\('\/reset-password'[\s\S]*?\}, \{ body: schemas\.resetPassword \}\);/,
-        ''
-      );
+      console.log(chalk.cyan(`  Extracting ${path.basename(tarballPath)}...`));
+      const contentsPath = path.join(extractPath, 'contents');
+      fs.mkdirSync(contentsPath);
+      execSync(`tar -xf "${tarballPath}" -C "${contentsPath}"`, { stdio: 'inherit' });
+
+      // Archives from GitHub and `npm pack` wrap everything in a single top-level directory
+      const entries = fs.readdirSync(contentsPath);
+      const rootPath = entries.length === 1 && fs.statSync(path.join(contentsPath, entries[0])).isDirectory()
+        ? path.join(contentsPath, entries[0])
+        : contentsPath;
+      fs.cpSync(rootPath, destPath, { recursive: true, filter: copyFilter });
+    } finally {
+      fs.rmSync(extractPath, { recursive: true, force: true });
+    }
+    return;
+  }
 
-      // Remove Cognito-related error classes
-      authContent = authContent.replace(
-        /class UserNotConfirmed[\s\S]*?\}\n\n/,
-        ''
-      );
-      authContent = authContent.replace(
-        /class CodeMismatch[\s\S]*?\}\n\n/,
-        ''
-      );
-      authContent = authContent.replace(
-        /class UserAlreadyExists[\s\S]*?\}\n\n/,
-        ''
-      );
-      authContent = authContent.replace(
-        /class RegistrationError[\s\S]*?\}\n\n/,
-        ''
-      );
-      authContent = authContent.replace(
-        /class LoginError[\s\S]*?\}\n\n/,
-        ''
-      );
+  if (!gitUrlPattern.test(source)) {
+    throw new Error(`${label} ${source} is not a directory, a tarball or a git URL`);
+  }
 
-      // Remove email-related schemas
-      authContent = authContent.replace(
-        /\/\*\*\n \* Email validation schema[\s\S]*?const emailSchema = t\.String\(\{format: 'email', error: 'Invalid email format' \}\);\n\n/,
-        ''
-      );
-      authContent = authContent.replace(
-        /\/\*\*\n \* Strong password validation schema[\s\S]*?const passwordSchema = t\.String\(\{minLength: 8[\s\S]*?\}\);\n\n/,
-        ''
-      );
-      authContent = authContent.replace(
-        /\/\*\*\n \* 6-digit numeric confirmation code[\s\S]*?const codeSchema = t\.String\(\{minLength: 6[\s\S]*?\}\);\n\n/,
-        ''
-      );
+  const hashIndex = source.lastIndexOf('#');
+  const url = hashIndex === -1 ? source : source.slice(0, hashIndex);
+  const ref = hashIndex === -1 ? null : source.slice(hashIndex + 1);
 
-      // Remove schema definitions for email-based auth
-      authContent = authContent.replace(
-        /const schemas = \{[\s\S]*?login: t\.Object\(\{[\s\S]*?\}\),[\s\S]*?register: t\.Object\(\{[\s\S]*?\}\),[\s\S]*?confirmEmail:[\s\S]*?\}\),[\s\S]*?forgotPassword:[\s\S]*?\}\),[\s\S]*?resendConfirmationCode:[\s\S]*?\}\),[\s\S]*?resetPassword:[\s\S]*?\}\),[\s\S]*?\}/,
-        ''
-      );
+  console.log(chalk.cyan(`  Cloning ${url}${ref ? ` at ${ref}` : ''}...`));
+  if (ref && /^[0-9a-f]{7,40}$/.test(ref)) {
+    // Commits cannot be fetched with --branch, so check them out after a full clone
+    execSync(`git clone --quiet "${url}" "${destPath}"`, { stdio: 'inherit' });
+    execSync(`git -C "${destPath}" checkout --quiet ${ref}`, { stdio: 'inherit' });
+  } else {
+    execSync(`git clone --quiet --depth 1${ref ? ` --branch "${ref}"` : ''} "${url}" "${destPath}"`, { stdio: 'inherit' });
+  }
 
-      fs.writeFileSync(authHandlerPath, authContent);
+  // Remove .git directory
+  fs.rmSync(path.join(destPath, '.git'), { recursive: true, force: true });
+}
+
+// Writes generated files straight to disk
+const diskFs = {
+  mkdirSync: (dirPath, options) => fs.mkdirSync(dirPath, options),
+  writeFileSync: (filePath, content) => fs.writeFileSync(filePath, content),
+  skip: () => {},
+};
+
+// In-memory filesystem used to render the template without touching the disk (--dry-run, add)
+function createVirtualFs() {
+  const files = new Map();
+  const skipped = [];
+
+  return {
+    files,
+    skipped,
+    mkdirSync: () => {},
+    writeFileSync: (filePath, content) => {
+      files.set(filePath, Buffer.isBuffer(content) ? content : Buffer.from(content));
+    },
+    skip: (relativePath, condition) => {
+      skipped.push({ relativePath, condition });
+    },
+  };
+}
+
+// Template paths (files or folders) that are only generated when their condition holds
+const templateIncludeRules = [
+  { path: 'packages/lambdas', when: 'lambda' },
+  { path: 'packages/lambdas/src/common/auth.ts', when: 'cognito' },
+  { path: 'packages/lambdas/src/common/access.ts', when: 'access' },
+  { path: 'packages/lambdas/src/common/repository.ts', when: 'dynamo' },
+  { path: 'packages/lambdas/src/common/streams.ts', when: 'dynamo' },
+  { path: 'packages/lambdas/src/common/stream-handler.ts', when: 'dynamo' },
+  { path: 'packages/lambdas/src/streams', when: 'dynamo' },
+  { path: 'packages/lambdas/src/common/uploads.ts', when: 's3' },
+  { path: 'packages/lambdas/src/uploads', when: 's3' },
+  { path: 'packages/constants/src/entities.ts', when: 'dynamo' },
+  { path: 'infrastructure/src/resources/apigateway.ts', when: 'lambda' },
+  { path: 'infrastructure/src/resources/lambdas', when: 'lambda' },
+  { path: 'infrastructure/src/resources/lambdas/access.ts', when: 'access' },
+  { path: 'infrastructure/src/resources/dynamo.ts', when: 'dynamo' },
+  { path: 'infrastructure/src/resources/streams.ts', when: 'lambda && dynamo' },
+  { path: 'infrastructure/src/resources/s3-storage.ts', when: 's3' },
+  { path: 'infrastructure/src/resources/cognito.ts', when: 'cognito' },
+  { path: 'infrastructure/src/resources/cdn-certificate.ts', when: 'cdn' },
+  { path: 'infrastructure/local', when: 'dynamo || s3' },
+  { path: 'packages/sdk', when: 'elysia' },
+  { path: '.prompt/ELYSIA.md', when: 'elysia' },
+];
+
+// Comment syntax used by conditional markers, per file extension
+const markerCommentPrefixes = {
+  '.ts': '//',
+  '.tsx': '//',
+  '.js': '//',
+  '.jsx': '//',
+  '.json': '//',
+  '.yml': '#',
+  '.yaml': '#',
+};
+
+// Values that `@if` markers and include rules can test
+function createTemplateConditions(features) {
+  return {
+    api: features.api,
+    elysia: features.api && features.apiType === 'elysia',
+    cognito: features.cognito,
+    lambda: features.lambda,
+    dynamo: features.dynamo,
+    s3: features.s3,
+    cdn: features.cdn,
+    backend: features.lambda || features.dynamo || features.s3 || features.cognito,
+    access: features.dynamo || features.s3 || features.cognito,
+  };
+}
+
+// CLI flags that turn on each template condition
+const conditionFlags = {
+  api: ['--api'],
+  elysia: ['--api'],
+  cognito: ['--cognito'],
+  lambda: ['--lambda'],
+  dynamo: ['--dynamo'],
+  s3: ['--s3'],
+  cdn: ['--cdn'],
+  backend: ['--lambda', '--dynamo', '--s3', '--cognito'],
+  access: ['--dynamo', '--s3', '--cognito'],
+};
+
+// Spells a condition out with the flags behind it, e.g. `lambda && dynamo` as "--lambda and --dynamo"
+function describeCondition(expression) {
+  const listFlags = (flags) => flags.length === 1 ? flags[0] : `${flags.slice(0, -1).join(', ')} or ${flags[flags.length - 1]}`;
+
+  return expression.split('||').map(group =>
+    group.split('&&').map(term => {
+      const trimmed = term.trim();
+      const negated = trimmed.startsWith('!');
+      const flags = conditionFlags[negated ? trimmed.slice(1).trim() : trimmed];
+      return negated ? `no ${listFlags(flags)}` : listFlags(flags);
+    }).join(' and ')
+  ).join(' or ');
+}
+
+// Evaluates a condition such as `lambda`, `!dynamo` or `lambda && !dynamo || s3`
+function evaluateCondition(expression, conditions, location) {
+  if (!expression || !expression.trim()) {
+    throw new Error(`${location}: missing condition`);
+  }
+
+  return expression.split('||').some(group =>
+    group.split('&&').every(term => {
+      const trimmed = term.trim();
+      const negated = trimmed.startsWith('!');
+      const name = negated ? trimmed.slice(1).trim() : trimmed;
+
+      if (!Object.prototype.hasOwnProperty.call(conditions, name)) {
+        throw new Error(`${location}: unknown condition "${name}" (valid conditions: ${Object.keys(conditions).join(', ')})`);
+      }
+
+      return negated ? !conditions[name] : conditions[name];
+    })
+  );
+}
+
+// Keeps or drops the lines between `@if <condition>`, `@else` and `@endif` markers in a single pass.
+// Marker lines are removed from the output; unknown or unbalanced markers are a hard error.
+function renderConditionalBlocks(content, conditions, relativePath) {
+  const commentPrefix = markerCommentPrefixes[path.extname(relativePath)];
+  if (!commentPrefix) return content;
+
+  const escapedPrefix = commentPrefix.replace(/[/]/g, '\\/');
+  const markerPattern = new RegExp(`^\\s*${escapedPrefix}\\s*@(\\w[\\w-]*)(.*)$`);
+  const directives = ['if', 'else', 'endif'];
+
+  const output = [];
+  const blocks = [];
+
+  content.split('\n').forEach((line, index) => {
+    const location = `${relativePath}:${index + 1}`;
+    const marker = line.match(markerPattern);
+
+    // Other `@` comments (e.g. `// @ts-expect-error`) are left alone unless they look like a misspelled marker
+    if (!marker || (!directives.includes(marker[1]) && !/^(if|el|end)/.test(marker[1]))) {
+      if (blocks.every(block => block.active)) output.push(line);
+      return;
     }
 
-    console.log(chalk.green('  ✓ Elysia API server configured successfully\n'));
-  } catch (error) {
-    console.error(chalk.red(`  ✗ Failed to setup Elysia API: ${error.message}`));
-    throw error;
+    const [, directive, rest] = marker;
+    const argument = rest.trim();
+
+    if (directive === 'if') {
+      blocks.push({ active: evaluateCondition(argument, conditions, location), hasElse: false, location });
+    } else if (directive === 'else') {
+      const block = blocks[blocks.length - 1];
+      if (!block) throw new Error(`${location}: @else without a matching @if`);
+      if (block.hasElse) throw new Error(`${location}: duplicate @else for the @if at ${block.location}`);
+      if (argument) throw new Error(`${location}: @else does not take a condition`);
+      block.active = !block.active;
+      block.hasElse = true;
+    } else if (directive === 'endif') {
+      if (!blocks.pop()) throw new Error(`${location}: @endif without a matching @if`);
+      if (argument) throw new Error(`${location}: @endif does not take a condition`);
+    } else {
+      throw new Error(`${location}: unknown marker "@${directive}" (valid markers: ${directives.map(d => `@${d}`).join(', ')})`);
+    }
+  });
+
+  if (blocks.length > 0) {
+    throw new Error(`${blocks[blocks.length - 1].location}: @if is never closed with @endif`);
   }
+
+  return output.join('\n');
 }
 
-function copyDirectory(src, dest, projectName, domain, includeApi, apiType, includeLambda, includeDynamo, includeS3, includeCognito, environments, templateRoot = src) {
-  fs.mkdirSync(dest, { recursive: true });
+function copyDirectory(src, dest, projectName, domain, features, environments, domainScheme, output = diskFs, templateRoot = src) {
+  const {
+    api: includeApi,
+    apiType,
+    lambda: includeLambda,
+    dynamo: includeDynamo,
+    s3: includeS3,
+    cognito: includeCognito,
+  } = features;
+  const conditions = createTemplateConditions(features);
+
+  output.mkdirSync(dest, { recursive: true });
 
   const entries = fs.readdirSync(src, { withFileTypes: true });
 
@@ -633,74 +2601,27 @@ function copyDirectory(src, dest, projectName, domain, includeApi, apiType, incl
 
     const relativePath = path.relative(templateRoot, srcPath);
 
-    // Skip lambda-specific files if --lambda flag is not set
-    if (!includeLambda) {
-      if (
-        relativePath.startsWith('packages/lambdas') ||
-        relativePath.includes('infrastructure/src/resources/apigateway') ||
-        relativePath.includes('infrastructure/src/resources/lambdas')
-      ) {
-        continue;
-      }
-    }
-
-    // Process apigateway.ts to remove dynamo-specific code if --dynamo is not set
-    if (includeLambda && !includeDynamo && entry.name === 'apigateway.ts' && srcPath.includes('infrastructure/src/resources')) {
-      let content = fs.readFileSync(srcPath, 'utf8');
-      // Remove DynamoResource import
-      content = content.replace(/import type \{ DynamoResource \} from '\.\/dynamo';\n/g, '');
-      // Remove dynamodb prop from Props interface (required prop)
-      content = content.replace(/  dynamodb: DynamoResource;\n/g, '');
-      fs.writeFileSync(destPath, content);
+    // Skip files and folders whose include rule does not hold for the selected features
+    const rule = templateIncludeRules.find(({ path: rulePath }) => rulePath === relativePath);
+    if (rule && !evaluateCondition(rule.when, conditions, `include rule for ${relativePath}`)) {
+      output.skip(relativePath, rule.when);
       continue;
     }
 
-    // Skip dynamo-specific files if --dynamo flag is not set
-    if (!includeDynamo) {
-      if (relativePath.includes('infrastructure/src/resources/dynamo')) {
-        continue;
-      }
-    }
-
-    // Skip S3 storage-specific files if --s3 flag is not set
-    if (!includeS3) {
-      if (relativePath.includes('infrastructure/src/resources/s3-storage')) {
-        continue;
-      }
-    }
-
-    // Skip Cognito-specific files if --cognito flag is not set
-    if (!includeCognito) {
-      if (relativePath.includes('infrastructure/src/resources/cognito')) {
-        continue;
-      }
-    }
-
-    // Skip SDK package if API is not Elysia
-    if (!includeApi || apiType !== 'elysia') {
-      if (relativePath.startsWith('packages/sdk')) {
-        continue;
-      }
-    }
-
-    // Skip ELYSIA.md in .prompt if API is not Elysia
-    if (!includeApi || apiType !== 'elysia') {
-      if (relativePath === '.prompt/ELYSIA.md') {
-        continue;
-      }
-    }
-
     if (entry.isDirectory()) {
-      copyDirectory(srcPath, destPath, projectName, domain, includeApi, apiType, includeLambda, includeDynamo, includeS3, includeCognito, environments, templateRoot);
+      copyDirectory(srcPath, destPath, projectName, domain, features, environments, domainScheme, output, templateRoot);
     } else {
       let content = fs.readFileSync(srcPath, 'utf8');
 
+      // Evaluate `// @if <condition>` ... `// @endif` blocks
+      content = renderConditionalBlocks(content, conditions, relativePath);
+
       // Replace template variables
       content = content.replace(/\{\{PROJECT_NAME\}\}/g, projectName);
 
       // Replace environments in constants/src/index.ts
       if (entry.name === 'index.ts' && srcPath.includes('packages/constants/src')) {
-        content = generateConstantsFile(projectName, domain, environments, includeApi, includeLambda, includeDynamo, includeS3, includeCognito);
+        content = generateConstantsFile(projectName, domain, environments, domainScheme, includeApi, includeLambda, includeDynamo, includeS3, includeCognito);
       }
 
       // Generate README based on included features
@@ -711,110 +2632,14 @@ function copyDirectory(src, dest, projectName, domain, includeApi, apiType, incl
       // Generate Pulumi config files for each environment
       if (entry.name === 'Pulumi.yaml' && srcPath.includes('infrastructure')) {
         // After writing Pulumi.yaml, create environment-specific configs
-        fs.writeFileSync(destPath, content);
+        output.writeFileSync(destPath, content);
         environments.forEach(env => {
           const envConfig = generatePulumiEnvConfig(projectName, env);
-          fs.writeFileSync(path.join(path.dirname(destPath), `Pulumi.${env}.yaml`), envConfig);
+          output.writeFileSync(path.join(path.dirname(destPath), `Pulumi.${env}.yaml`), envConfig);
         });
         continue; // Skip the normal write since we already wrote it
       }
 
-      // Replace conditional imports in infrastructure/src/index.ts
-      if (entry.name === 'index.ts' && srcPath.includes('infrastructure/src') && !srcPath.includes('infrastructure/src/components') && !srcPath.includes('infrastructure/src/resources')) {
-        // If no backend features are enabled, remove the entire backend component
-        if (!includeLambda && !includeDynamo && !includeS3 && !includeCognito) {
-          // Remove backend component import
-          content = content.replace(/\/\* ---------- Components ---------- \*\/[\s\S]*?import \{ BackendComponent \}.*\n\n/g, '');
-          // Remove backend component instantiation and DNS
-          content = content.replace(/\/\* ---------- Backend ---------- \*\/[\s\S]*?(?=\/\* ---------- Exports)/g, '');
-          // Remove backend-related exports
-          content = content.replace(/export const apigwUrl = backend\.apigateway\.api\.apiEndpoint;\n/g, '');
-          content = content.replace(/export const dynamoTableName = backend\.dynamo\.table\.name;\n/g, '');
-          content = content.replace(/export const s3StorageBucketName = backend\.storage\.bucket\.bucket;\n/g, '');
-          content = content.replace(/export const cognitoUserPoolId = backend\.cognito\.userpool\.id;\n/g, '');
-          content = content.replace(/export const cognitoUserPoolClientId = backend\.cognito\.userpoolClient\.id;\n/g, '');
-        } else {
-          // Remove specific exports based on flags
-          if (!includeLambda) {
-            content = content.replace(/export const apigwUrl = backend\.apigateway\.api\.apiEndpoint;\n/g, '');
-            // Remove certificateArn from backend props and dependsOn
-            content = content.replace(
-              /const backend = new BackendComponent\(\n  `backend-\$\{environment\}`,\n  \{\n    environment,\n    certificateArn: certificate\.acm\.arn,\n  \},\n  \{ dependsOn: \[certificate\.acm\] \},\n\);/g,
-              'const backend = new BackendComponent(`backend-${environment}`, {\n  environment,\n});'
-            );
-          }
-          if (!includeDynamo) {
-            content = content.replace(/export const dynamoTableName = backend\.dynamo\.table\.name;\n/g, '');
-          }
-          if (!includeS3) {
-            content = content.replace(/export const s3StorageBucketName = backend\.storage\.bucket\.bucket;\n/g, '');
-          }
-          if (!includeCognito) {
-            content = content.replace(/export const cognitoUserPoolId = backend\.cognito\.userpool\.id;\n/g, '');
-            content = content.replace(/export const cognitoUserPoolClientId = backend\.cognito\.userpoolClient\.id;\n/g, '');
-          }
-        }
-      }
-
-      // Update backend component to remove unused resources
-      if (entry.name === 'backend.ts' && srcPath.includes('infrastructure/src/components')) {
-        // Build the constants import based on what's included
-        let constantsToRemove = [];
-        if (!includeDynamo) constantsToRemove.push('DYNAMODB_TABLES');
-        if (!includeS3) constantsToRemove.push('S3_BUCKETS');
-        if (!includeCognito) constantsToRemove.push('COGNITO_USER_POOLS', 'COGNITO_USER_POOL_CLIENTS');
-
-        // Update constants import to remove unused ones
-        if (constantsToRemove.length > 0) {
-          constantsToRemove.forEach(constant => {
-            content = content.replace(new RegExp(`  ${constant},\\n`, 'g'), '');
-            content = content.replace(new RegExp(`,\\n  ${constant}`, 'g'), '');
-          });
-        }
-
-        // Remove DynamoDB if not included
-        if (!includeDynamo) {
-          content = content.replace(/import \{ DynamoResource \} from '\.\.\/resources\/dynamo';\n/g, '');
-          content = content.replace(/  public readonly dynamo: DynamoResource;\n/g, '');
-          content = content.replace(/    \/\* ---------- Resource Names ---------- \*\/\n    const tableName = DYNAMODB_TABLES\[environment as Environment\];\n/g, '    /* ---------- Resource Names ---------- */\n');
-          content = content.replace(/    const tableName = DYNAMODB_TABLES\[environment as Environment\];\n/g, '');
-          content = content.replace(/\n\n    \/\* ---------- DynamoDB ---------- \*\/[\s\S]*?(?=\n\n    \/\* ----------)/g, '');
-        }
-
-        // Remove S3 if not included
-        if (!includeS3) {
-          content = content.replace(/import \{ S3StorageResource \} from '\.\.\/resources\/s3-storage';\n/g, '');
-          content = content.replace(/  public readonly storage: S3StorageResource;\n/g, '');
-          content = content.replace(/    const bucketName = S3_BUCKETS\[environment as Environment\];\n/g, '');
-          content = content.replace(/\n\n    \/\* ---------- S3 Storage ---------- \*\/[\s\S]*?(?=\n\n    \/\* ----------)/g, '');
-        }
-
-        // Remove Cognito if not included
-        if (!includeCognito) {
-          content = content.replace(/import \{ CognitoResource \} from '\.\.\/resources\/cognito';\n/g, '');
-          content = content.replace(/  public readonly cognito: CognitoResource;\n/g, '');
-          content = content.replace(/    const userpoolName = COGNITO_USER_POOLS\[environment as Environment\];\n/g, '');
-          content = content.replace(/    const userpoolClientName = COGNITO_USER_POOL_CLIENTS\[environment as Environment\];\n/g, '');
-          content = content.replace(/\n\n    \/\* ---------- Cognito ---------- \*\/[\s\S]*?(?=\n\n    \/\* ----------)/g, '');
-        }
-
-        // Remove API Gateway if not included
-        if (!includeLambda) {
-          content = content.replace(/import \{ ApigatewayResource \} from '\.\.\/resources\/apigateway';\n/g, '');
-          content = content.replace(/import \{ DNSResource \} from '\.\.\/resources\/dns';\n/g, '');
-          content = content.replace(/  DOMAIN_BASE,\n/g, '');
-          content = content.replace(/  DOMAINS,\n/g, '');
-          content = content.replace(/  public readonly apigateway: ApigatewayResource;\n/g, '');
-          content = content.replace(/  \/\*\*\n   \* ACM certificate ARN for API Gateway custom domain\n   \*\/\n  certificateArn: string;\n/g, '');
-          content = content.replace(/, certificateArn/g, '');
-          content = content.replace(/    const apigwDomain = DOMAINS\.apigw\[environment as Environment\];\n/g, '');
-          content = content.replace(/\n\n    \/\* ---------- API Gateway \+ Lambdas ---------- \*\/[\s\S]*?(?=\n  \})/g, '');
-        } else if (!includeDynamo) {
-          // If Lambda is included but DynamoDB is not, remove the dynamodb prop from apigateway
-          content = content.replace(/        dynamodb: this\.dynamo,\n/g, '');
-        }
-      }
-
       // Replace conditional scripts in root package.json
       if (entry.name === 'package.json' && srcPath === path.join(src, 'package.json')) {
         const pkg = JSON.parse(content);
@@ -823,10 +2648,19 @@ function copyDirectory(src, dest, projectName, domain, includeApi, apiType, incl
           if (pkg.scripts['build:lambdas']) {
             delete pkg.scripts['build:lambdas'];
           }
+          if (pkg.scripts['dev:lambdas']) {
+            delete pkg.scripts['dev:lambdas'];
+          }
           if (pkg.scripts.build) {
             pkg.scripts.build = 'bun run build:website';
           }
         }
+        if (!includeDynamo && !includeS3 && pkg.scripts) {
+          // Remove the emulators of the local environment
+          for (const script of ['local:up', 'local:down', 'local:seed']) {
+            delete pkg.scripts[script];
+          }
+        }
         content = JSON.stringify(pkg, null, 2) + '\n';
       }
 
@@ -842,7 +2676,7 @@ function copyDirectory(src, dest, projectName, domain, includeApi, apiType, incl
         content = JSON.stringify(pkg, null, 2) + '\n';
       }
 
-      fs.writeFileSync(destPath, content);
+      output.writeFileSync(destPath, content);
     }
   }
 }
@@ -1063,62 +2897,196 @@ ${techStack.join('\n')}${apiSection}${backendSection}
 `;
 }
 
-function generateConstantsFile(projectName, domain, environments, includeApi, includeLambda, includeDynamo, includeS3, includeCognito) {
+// Builds a domain scheme from `--domain-pattern <app>[.<env>]=<pattern>` and `--env-domain <env>=<domain>`
+function parseDomainSchemeFlags(patternValues, envDomainValues) {
+  const domainScheme = { bases: {}, patterns: {} };
+  const fail = (message) => {
+    console.log(chalk.red(`❌ ${message}\n`));
+    process.exit(1);
+  };
+
+  patternValues.forEach(value => {
+    const separatorIndex = value.indexOf('=');
+    if (separatorIndex === -1) fail(`Invalid --domain-pattern ${value}. Expected <app>[.<env>]=<pattern>`);
+
+    const [app, env = 'default'] = value.slice(0, separatorIndex).split('.');
+    const pattern = value.slice(separatorIndex + 1);
+    if (!domainApps.includes(app)) fail(`Unknown app in --domain-pattern ${value}. Valid apps: ${domainApps.join(', ')}`);
+
+    const error = validateDomainPattern(pattern);
+    if (error) fail(`Invalid --domain-pattern ${value}: ${error}`);
+
+    domainScheme.patterns[app] = { ...domainScheme.patterns[app], [env]: pattern };
+  });
+
+  envDomainValues.forEach(value => {
+    const [env, base] = value.split('=');
+    if (!env || !environmentPattern.test(env) || !base || !domainPattern.test(base)) {
+      fail(`Invalid --env-domain ${value}. Expected <env>=<domain>, e.g. staging=example-staging.com`);
+    }
+    domainScheme.bases[env] = base;
+  });
+
+  return domainScheme;
+}
+
+// Returns an error message, or null when `pattern` is a usable domain pattern
+function validateDomainPattern(pattern) {
+  if (typeof pattern !== 'string') return 'expected a string';
+
+  const unknown = (pattern.match(/\{[^}]*\}/g) || []).filter(variable => !['{env}', '{base}'].includes(variable));
+  if (unknown.length > 0) return `unknown variable ${unknown[0]} (use {env} and {base})`;
+
+  // Every domain has to live in its environment's DNS zone
+  if (pattern !== '{base}' && !pattern.endsWith('.{base}')) return 'must be {base} or end with .{base}';
+
+  if (!domainPattern.test(pattern.replace(/\{env\}/g, 'staging').replace(/\{base\}/g, 'example.com'))) {
+    return 'does not produce a valid domain';
+  }
+
+  return null;
+}
+
+async function promptDomainScheme(domain, features, environments) {
+  const domainScheme = { bases: {}, patterns: {} };
+  const apps = getDomainApps(features);
+  const onCancel = () => {
+    console.log(chalk.red('\n❌ Setup cancelled\n'));
+    process.exit(1);
+  };
+
+  const { customize } = await prompts({
+    type: 'confirm',
+    name: 'customize',
+    message: 'Customize how app domains are named per environment?',
+    initial: false,
+  }, { onCancel });
+  if (!customize) return domainScheme;
+
+  const questions = [];
+  environments.forEach(env => {
+    questions.push({
+      type: 'text',
+      name: `base:${env}`,
+      message: `Base domain for ${env}:`,
+      initial: domain,
+      validate: (value) => domainPattern.test(value) || 'Please enter a valid domain (e.g., example.com)',
+    });
+  });
+
+  // One question for production and one shared by every other environment
+  apps.forEach(app => {
+    ['production', 'default']
+      .filter(env => env === 'production' ? environments.includes('production') : environments.some(name => name !== 'production'))
+      .forEach(env => {
+        questions.push({
+          type: 'text',
+          name: `pattern:${app}:${env}`,
+          message: `Domain pattern for ${app} ${env === 'production' ? 'in production' : 'in other environments'} ({env}, {base}):`,
+          initial: defaultDomainPatterns[app][env],
+          validate: (value) => validateDomainPattern(value) || true,
+        });
+      });
+  });
+
+  const answers = await prompts(questions, { onCancel });
+
+  Object.entries(answers).forEach(([key, value]) => {
+    const [kind, name, env] = key.split(':');
+    if (kind === 'base' && value !== domain) {
+      domainScheme.bases[name] = value;
+    }
+    if (kind === 'pattern' && value !== defaultDomainPatterns[name][env]) {
+      domainScheme.patterns[name] = { ...domainScheme.patterns[name], [env]: value };
+    }
+  });
+
+  return domainScheme;
+}
+
+function getDomainApps(features) {
+  return domainApps.filter(app => app === 'landing-page' || (app === 'api' && features.api) || (app === 'apigw' && features.lambda));
+}
+
+// TypeScript expression for the domain of `app` in `environment`, relative to DOMAIN_BASE where possible
+function formatDomainExpression(domainScheme, app, environment) {
+  const patterns = { ...defaultDomainPatterns[app], ...domainScheme.patterns[app] };
+  const pattern = patterns[environment] || patterns.default;
+  const base = domainScheme.bases[environment];
+  const value = pattern
+    .replace(/\{env\}/g, environment)
+    .replace(/\{base\}/g, base || '${DOMAIN_BASE}');
+
+  if (value === '${DOMAIN_BASE}') return 'DOMAIN_BASE';
+  return value.includes('${') ? `\`${value}\`` : `'${value}'`;
+}
+
+function generateConstantsFile(projectName, domain, environments, domainScheme, includeApi, includeLambda, includeDynamo, includeS3, includeCognito) {
   const envsObject = environments.map(env => `  ${env}: '${env}'`).join(',\n');
   const envsType = environments.map(env => `'${env}'`).join(' | ');
 
-  // Generate domain config for landing-page app
-  const landingPageDomains = environments.map(env => {
-    const isProduction = env === 'production';
-    const domainValue = isProduction ? 'DOMAIN_BASE' : `\`${env}.\${DOMAIN_BASE}\``;
-    return `    ${env}: ${domainValue}`;
+  // Base domain of every environment (environments can live on their own apex domain)
+  const domainBases = environments.map(env => {
+    const base = domainScheme.bases[env];
+    return `  ${env}: ${base ? `'${base}'` : 'DOMAIN_BASE'}`;
   }).join(',\n');
 
-  // Build domains object conditionally
-  let domainsObject = `  'landing-page': {
-${landingPageDomains},
+  // Build domains object for the apps of the selected features
+  const domainsObject = getDomainApps({ api: includeApi, lambda: includeLambda })
+    .map(app => {
+      const appDomains = environments.map(env => `    ${env}: ${formatDomainExpression(domainScheme, app, env)}`).join(',\n');
+      return `  ${app.includes('-') ? `'${app}'` : app}: {
+${appDomains},
   },`;
+    })
+    .join('\n');
 
-  if (includeApi) {
-    const apiDomains = environments.map(env => {
-      const isProduction = env === 'production';
-      const domainValue = isProduction ? '`api.${DOMAIN_BASE}`' : `\`api-${env}.\${DOMAIN_BASE}\``;
-      return `    ${env}: ${domainValue}`;
-    }).join(',\n');
-    domainsObject += `\n  api: {
-${apiDomains},
-  },`;
-  }
+  let additionalConstants = '';
 
-  if (includeLambda) {
-    const apigwDomains = environments.map(env => {
-      const isProduction = env === 'production';
-      const domainValue = isProduction ? '`apigw.${DOMAIN_BASE}`' : `\`apigw-${env}.\${DOMAIN_BASE}\``;
-      return `    ${env}: ${domainValue}`;
-    }).join(',\n');
-    domainsObject += `\n  apigw: {
-${apigwDomains},
-  },`;
+  // The local environment runs the table and the bucket on emulators (infrastructure/local), it has no stack
+  const includeLocal = includeDynamo || includeS3;
+  const resourceEnvironments = includeLocal ? [...environments, 'local'] : environments;
+  const resourceKey = includeLocal ? 'Environment | LocalEnvironment' : 'Environment';
+
+  if (includeLocal) {
+    const localEndpoints = [
+      includeDynamo && "  AWS_ENDPOINT_URL_DYNAMODB: 'http://localhost:8000'",
+      includeS3 && "  AWS_ENDPOINT_URL_S3: 'http://localhost:9000'",
+    ].filter(Boolean).join(',\n');
+    additionalConstants += `\n// Environment of the stack running on a laptop, with no AWS account (bun run local:up)
+export const LOCAL_ENVIRONMENT = 'local';
+
+export type LocalEnvironment = typeof LOCAL_ENVIRONMENT;
+
+// Points the AWS SDK at the emulators of the local environment,
+// the credentials are the ones of infrastructure/local/docker-compose.yml
+export const LOCAL_AWS_ENV = {
+  AWS_REGION: 'us-east-1',
+  AWS_ACCESS_KEY_ID: 'local',
+  AWS_SECRET_ACCESS_KEY: 'localsecret',
+${localEndpoints},
+};\n`;
   }
 
-  let additionalConstants = '';
-
   if (includeDynamo) {
-    const dynamoTables = environments.map(env =>
+    const dynamoTables = resourceEnvironments.map(env =>
       `  ${env}: \`\${PROJECT_NAME}-Table-${env}\``
     ).join(',\n');
     additionalConstants += `\n// DynamoDB table names per environment
-export const DYNAMODB_TABLES: Record<Environment, string> = {
+export const DYNAMODB_TABLES: Record<${resourceKey}, string> = {
 ${dynamoTables},
-};\n`;
+};
+
+// Entities and access patterns of the table
+export * from './entities';\n`;
   }
 
   if (includeS3) {
-    const s3Buckets = environments.map(env =>
+    const s3Buckets = resourceEnvironments.map(env =>
       `  ${env}: \`\${PROJECT_NAME}-storage-${env}\``
     ).join(',\n');
     additionalConstants += `\n// S3 bucket names per environment
-export const S3_STORAGE_BUCKETS: Record<Environment, string> = {
+export const S3_STORAGE_BUCKETS: Record<${resourceKey}, string> = {
 ${s3Buckets},
 };\n`;
   }
@@ -1154,15 +3122,33 @@ ${envsObject},
 
 export type Environment = ${envsType};
 
+// Base domain by environment
+export const DOMAIN_BASES: Record<Environment, string> = {
+${domainBases},
+};
+
 // Domain configuration by app and environment
 export const DOMAINS: Record<string, Record<Environment, string>> = {
 ${domainsObject}
 };
-${additionalConstants}
-`;
+${additionalConstants}`;
 }
 
-main().catch((error) => {
-  console.error(chalk.red('Error:', error));
-  process.exit(1);
-});
+// For `upgrade` from a later version, which renders this template as the base of its merge, and for the tests
+export {
+  renderTemplate,
+  renderConditionalBlocks,
+  mergeText,
+  mergeJson,
+  validateManifest,
+  moveIntoPlace,
+  verifyProject,
+};
+
+// Only when run as the CLI, not when imported
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === __filename) {
+  main().catch((error) => {
+    console.error(chalk.red('Error:', error));
+    process.exit(1);
+  });
+}
@@ -0,0 +1,182 @@
+// Creates the resources of the local environment on the emulators of docker-compose.yml, like the
+// stack creates them on AWS. Running it again keeps what already exists
+
+/* ---------- External ---------- */
+// @if dynamo
+import {
+  CreateTableCommand,
+  DescribeTableCommand,
+  DynamoDBClient,
+  ListTablesCommand,
+  ResourceInUseException,
+  UpdateTimeToLiveCommand,
+} from '@aws-sdk/client-dynamodb';
+// @endif
+// @if s3
+import {
+  BucketAlreadyExists,
+  BucketAlreadyOwnedByYou,
+  CreateBucketCommand,
+  ListBucketsCommand,
+  S3Client,
+} from '@aws-sdk/client-s3';
+// @endif
+
+/* ---------- Constants ---------- */
+// @if dynamo && s3
+import {
+  DYNAMODB_TABLES,
+  LOCAL_AWS_ENV,
+  LOCAL_ENVIRONMENT,
+  S3_STORAGE_BUCKETS,
+  listIndexes,
+} from '@{{PROJECT_NAME}}/constants';
+// @endif
+// @if dynamo && !s3
+import { DYNAMODB_TABLES, LOCAL_AWS_ENV, LOCAL_ENVIRONMENT, listIndexes } from '@{{PROJECT_NAME}}/constants';
+// @endif
+// @if s3 && !dynamo
+import { LOCAL_AWS_ENV, LOCAL_ENVIRONMENT, S3_STORAGE_BUCKETS } from '@{{PROJECT_NAME}}/constants';
+// @endif
+
+const config = {
+  region: LOCAL_AWS_ENV.AWS_REGION,
+  credentials: {
+    accessKeyId: LOCAL_AWS_ENV.AWS_ACCESS_KEY_ID,
+    secretAccessKey: LOCAL_AWS_ENV.AWS_SECRET_ACCESS_KEY,
+  },
+};
+
+/**
+ * Retries `check` while the emulator starts, for up to 30 seconds
+ */
+async function waitFor(name: string, endpoint: string, check: () => Promise<unknown>) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await check();
+      return;
+    } catch (error) {
+      if (attempt === 30) {
+        throw new Error(
+          `${name} is not answering on ${endpoint}. Start it with \`bun run local:up\` (${(error as Error).message})`,
+        );
+      }
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+  }
+}
+// @if dynamo
+
+/* ---------- DynamoDB ---------- */
+/**
+ * Same keys, indexes, stream and TTL as DynamoResource (src/resources/dynamo.ts)
+ */
+async function createTable() {
+  const endpoint = LOCAL_AWS_ENV.AWS_ENDPOINT_URL_DYNAMODB;
+  const client = new DynamoDBClient({ ...config, endpoint });
+  const tableName = DYNAMODB_TABLES[LOCAL_ENVIRONMENT];
+  const indexes = listIndexes();
+
+  await waitFor('DynamoDB Local', endpoint, () => client.send(new ListTablesCommand({})));
+
+  try {
+    await client.send(
+      new CreateTableCommand({
+        TableName: tableName,
+        AttributeDefinitions: [
+          { AttributeName: 'pk', AttributeType: 'S' },
+          { AttributeName: 'sk', AttributeType: 'S' },
+          ...indexes.flatMap((index) => [
+            { AttributeName: `${index}pk`, AttributeType: 'S' as const },
+            { AttributeName: `${index}sk`, AttributeType: 'S' as const },
+          ]),
+        ],
+        KeySchema: [
+          { AttributeName: 'pk', KeyType: 'HASH' },
+          { AttributeName: 'sk', KeyType: 'RANGE' },
+        ],
+        BillingMode: 'PAY_PER_REQUEST',
+        StreamSpecification: { StreamEnabled: true, StreamViewType: 'NEW_AND_OLD_IMAGES' },
+        // DynamoDB refuses an empty list of indexes
+        GlobalSecondaryIndexes: indexes.length
+          ? indexes.map((index) => ({
+              IndexName: index,
+              KeySchema: [
+                { AttributeName: `${index}pk`, KeyType: 'HASH' as const },
+                { AttributeName: `${index}sk`, KeyType: 'RANGE' as const },
+              ],
+              Projection: { ProjectionType: 'ALL' as const },
+            }))
+          : undefined,
+      }),
+    );
+  } catch (error) {
+    if (!(error instanceof ResourceInUseException)) throw error;
+
+    // Indexes added to the entities after the table was created only exist once it is recreated
+    const { Table } = await client.send(new DescribeTableCommand({ TableName: tableName }));
+    const existing = (Table?.GlobalSecondaryIndexes ?? []).map(({ IndexName }) => IndexName);
+    const missing = indexes.filter((index) => !existing.includes(index));
+    if (missing.length > 0) {
+      console.warn(
+        `Table ${tableName} has no ${missing.join(', ')}. Run \`bun run local:down\` and \`bun run local:up\` to create it again`,
+      );
+    } else {
+      console.log(`Table ${tableName} already exists`);
+    }
+    return;
+  }
+
+  await client.send(
+    new UpdateTimeToLiveCommand({
+      TableName: tableName,
+      TimeToLiveSpecification: { AttributeName: 'timetolive', Enabled: true },
+    }),
+  );
+
+  console.log(`Created table ${tableName} on ${endpoint}`);
+}
+// @endif
+// @if s3
+
+/* ---------- S3 ---------- */
+/**
+ * Bucket of S3StorageResource (src/resources/s3-storage.ts).
+ * MinIO takes its CORS origins from docker-compose.yml
+ */
+async function createBucket() {
+  const endpoint = LOCAL_AWS_ENV.AWS_ENDPOINT_URL_S3;
+  const client = new S3Client({ ...config, endpoint, forcePathStyle: true });
+  const bucketName = S3_STORAGE_BUCKETS[LOCAL_ENVIRONMENT];
+
+  await waitFor('MinIO', endpoint, () => client.send(new ListBucketsCommand({})));
+
+  try {
+    await client.send(new CreateBucketCommand({ Bucket: bucketName }));
+  } catch (error) {
+    // Depending on the store, for a bucket created by an earlier run
+    if (!(error instanceof BucketAlreadyOwnedByYou || error instanceof BucketAlreadyExists))
+      throw error;
+
+    console.log(`Bucket ${bucketName} already exists`);
+    return;
+  }
+
+  console.log(`Created bucket ${bucketName} on ${endpoint}`);
+}
+// @endif
+
+/* ---------- Seed ---------- */
+async function seed() {
+  // @if dynamo
+  await createTable();
+  // @endif
+  // @if s3
+  await createBucket();
+  // @endif
+}
+
+seed().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
@@ -2,21 +2,49 @@
 import { ComponentResource, type ComponentResourceOptions } from '@pulumi/pulumi';
 
 /* ---------- Resources ---------- */
+// @if dynamo
 import { DynamoResource } from '../resources/dynamo';
+// @endif
+// @if s3
 import { S3StorageResource } from '../resources/s3-storage';
+// @endif
+// @if lambda
 import { ApigatewayResource } from '../resources/apigateway';
+// @endif
+// @if cognito
 import { CognitoResource } from '../resources/cognito';
+// @endif
+// @if lambda
 import { DNSResource } from '../resources/dns';
+// @endif
+// @if lambda && dynamo
+import { StreamConsumersResource } from '../resources/streams';
+// @endif
+// @if lambda
+import { createCommonLayer } from '../resources/lambdas/bundles';
+import type { ResourceVariables } from '../resources/lambdas/settings';
+// @endif
+// @if lambda && access
+import type { AccessResources } from '../resources/lambdas/access';
+// @endif
 
 /* ---------- Constants ---------- */
 import {
-  DOMAIN_BASE,
+  // @if lambda
+  DOMAIN_BASES,
   DOMAINS,
+  // @endif
+  // @if dynamo
   DYNAMODB_TABLES,
-  S3_BUCKETS,
+  // @endif
+  // @if s3
+  S3_STORAGE_BUCKETS,
+  // @endif
+  // @if cognito
   COGNITO_USER_POOLS,
   COGNITO_USER_POOL_CLIENTS,
-  type Environment
+  // @endif
+  type Environment,
 } from '@{{PROJECT_NAME}}/constants';
 
 /* ---------- Interfaces ---------- */
@@ -26,38 +54,113 @@ interface Props {
    */
   environment: string;
 
+  // @if lambda
   /**
    * ACM certificate ARN for API Gateway custom domain
    */
   certificateArn: string;
+  // @endif
 }
 
 export class BackendComponent extends ComponentResource {
+  // @if dynamo
   public readonly dynamo: DynamoResource;
+  // @endif
+  // @if s3
   public readonly storage: S3StorageResource;
+  // @endif
+  // @if lambda
   public readonly apigateway: ApigatewayResource;
+  // @endif
+  // @if cognito
   public readonly cognito: CognitoResource;
+  // @endif
+  // @if lambda && dynamo
+  public readonly streams: StreamConsumersResource;
+  // @endif
 
   public constructor(name: string, props: Props, opts?: ComponentResourceOptions) {
     super(`${name}:backend:${props.environment}`, name, {}, opts);
 
+    // @if lambda
     const { environment, certificateArn } = props;
+    // @else
+    const { environment } = props;
+    // @endif
 
     /* ---------- Resource Names ---------- */
+    // @if lambda
     const apigwDomain = DOMAINS.apigw[environment as Environment];
+    // @endif
+    // @if dynamo
     const tableName = DYNAMODB_TABLES[environment as Environment];
-    const bucketName = S3_BUCKETS[environment as Environment];
+    // @endif
+    // @if s3
+    const bucketName = S3_STORAGE_BUCKETS[environment as Environment];
+    // @endif
+    // @if cognito
     const userpoolName = COGNITO_USER_POOLS[environment as Environment];
     const userpoolClientName = COGNITO_USER_POOL_CLIENTS[environment as Environment];
+    // @endif
+    // @if dynamo
 
     /* ---------- DynamoDB ---------- */
     this.dynamo = new DynamoResource('dynamo', { environment, tableName }, { parent: this });
+    // @endif
+    // @if s3
 
     /* ---------- S3 Storage ---------- */
     this.storage = new S3StorageResource('storage', { environment, bucketName }, { parent: this });
+    // @endif
+    // @if cognito
 
     /* ---------- Cognito ---------- */
-    this.cognito = new CognitoResource('cognito', { environment, userpoolName, userpoolClientName }, { parent: this });
+    this.cognito = new CognitoResource(
+      'cognito',
+      { environment, userpoolName, userpoolClientName },
+      { parent: this },
+    );
+    // @endif
+    // @if lambda && access
+
+    /* ---------- Lambda Access ---------- */
+    // What each function can be granted, see packages/lambdas/src/common/access.ts
+    const resources: AccessResources = {
+      // @if dynamo
+      table: this.dynamo.table,
+      // @endif
+      // @if s3
+      bucket: this.storage.bucket,
+      // @endif
+      // @if cognito
+      userpool: this.cognito.userpool,
+      // @endif
+    };
+    // @endif
+    // @if lambda
+
+    /* ---------- Lambda Environment ---------- */
+    // Read in the functions with readEnv, see packages/lambdas/src/common/env.ts
+    // @if access
+    const variables: ResourceVariables = {
+      // @if dynamo
+      TABLE_NAME: this.dynamo.table.name,
+      // @endif
+      // @if s3
+      STORAGE_BUCKET: this.storage.bucket.bucket,
+      // @endif
+      // @if cognito
+      USER_POOL_ID: this.cognito.userpool.id,
+      USER_POOL_CLIENT_ID: this.cognito.userpoolClient.id,
+      // @endif
+    };
+    // @else
+    const variables: ResourceVariables = {};
+    // @endif
+
+    /* ---------- Lambda Layer ---------- */
+    // Only when the lambdas are built with --layer, see packages/lambdas/build.js
+    const layer = createCommonLayer('common-layer', environment, { parent: this });
 
     /* ---------- API Gateway + Lambdas ---------- */
     this.apigateway = new ApigatewayResource(
@@ -66,13 +169,23 @@ export class BackendComponent extends ComponentResource {
         environment,
         certificate: certificateArn,
         domain: apigwDomain,
+        variables,
+        layer,
+        // @if dynamo
         dynamodb: this.dynamo,
+        // @endif
+        // @if cognito
+        cognito: this.cognito,
+        // @endif
+        // @if access
+        resources,
+        // @endif
       },
       { parent: this },
     );
 
     /* ---------- API Gateway DNS ---------- */
-    const apigwSubdomain = apigwDomain.replace(`.${DOMAIN_BASE}`, '');
+    const apigwSubdomain = apigwDomain.replace(`.${DOMAIN_BASES[environment as Environment]}`, '');
     new DNSResource(
       `api-dns-${environment}`,
       {
@@ -85,5 +198,15 @@ export class BackendComponent extends ComponentResource {
       },
       { parent: this, dependsOn: [this.apigateway.domain] },
     );
+    // @endif
+    // @if lambda && dynamo
+
+    /* ---------- DynamoDB Streams ---------- */
+    this.streams = new StreamConsumersResource(
+      'streams',
+      { environment, table: this.dynamo.table, resources, variables, layer },
+      { parent: this },
+    );
+    // @endif
   }
 }
@@ -0,0 +1,66 @@
+/* ---------- External ---------- */
+import { Config } from '@pulumi/pulumi';
+
+/* ---------- Constants ---------- */
+import { DOMAINS, type Environment } from '@{{PROJECT_NAME}}/constants';
+
+/* ---------- Types ---------- */
+export interface CorsPolicy {
+  /**
+   * Origins allowed to call, such as https://app.example.com
+   */
+  origins: string[];
+  methods: string[];
+  headers: string[];
+  exposeHeaders: string[];
+
+  /**
+   * How long browsers cache a preflight response, in seconds
+   */
+  maxAge: number;
+}
+
+/* ---------- Origins ---------- */
+// Dev server of the landing page, allowed outside production
+const LOCAL_ORIGIN = 'http://localhost:3000';
+
+const originPattern = /^https?:\/\/[^/\s]+$/;
+
+/**
+ * Origins of an environment: every app in DOMAINS over https, http://localhost:3000 outside
+ * production and the `corsOrigins` of the stack config, e.g.
+ * `pulumi config set --path 'corsOrigins[0]' https://admin.example.com`
+ */
+export function getCorsOrigins(environment: Environment): string[] {
+  const extraOrigins = new Config().getObject<string[]>('corsOrigins') ?? [];
+
+  const invalidOrigins = extraOrigins.filter((origin) => !originPattern.test(origin));
+  if (invalidOrigins.length > 0) {
+    throw new Error(
+      `Invalid corsOrigins in the stack config: ${invalidOrigins.join(', ')}. Use scheme://host[:port] without a path`,
+    );
+  }
+
+  return [
+    ...new Set([
+      ...Object.values(DOMAINS).map((domains) => `https://${domains[environment]}`),
+      ...(environment === 'production' ? [] : [LOCAL_ORIGIN]),
+      ...extraOrigins,
+    ]),
+  ];
+}
+
+/**
+ * CORS policy of an environment for the methods and headers of one API or bucket
+ */
+export function createCorsPolicy(
+  environment: Environment,
+  {
+    methods,
+    headers = ['Content-Type'],
+    exposeHeaders = [],
+    maxAge = 300,
+  }: Omit<Partial<CorsPolicy>, 'origins'> & Pick<CorsPolicy, 'methods'>,
+): CorsPolicy {
+  return { origins: getCorsOrigins(environment), methods, headers, exposeHeaders, maxAge };
+}
@@ -4,47 +4,75 @@ import { join } from 'node:path';
 
 /* ---------- Resources ---------- */
 import { CertificateResource } from './resources/certificate';
+// @if cdn
+import { CdnCertificateResource } from './resources/cdn-certificate';
+// @endif
 import { S3Website } from './resources/s3-website';
 import { DNSResource } from './resources/dns';
 
+// @if backend
 /* ---------- Components ---------- */
 import { BackendComponent } from './components/backend';
 
+// @endif
 /* ---------- Constants ---------- */
-import { DOMAIN_BASE, DOMAINS, type Environment } from '@{{PROJECT_NAME}}/constants';
+import { DOMAIN_BASES, DOMAINS, type Environment } from '@{{PROJECT_NAME}}/constants';
 
 /* ---------- Configuration ---------- */
 const config = new Config();
 const environment = (config.get('environment') || 'production') as Environment;
+const domainBase = DOMAIN_BASES[environment];
 
 /* ---------- Certificate (Cloudflare + ACM) ---------- */
-const certificate = new CertificateResource(`certificate-${environment}`, { domain: DOMAIN_BASE });
+const certificate = new CertificateResource(`certificate-${environment}`, {
+  domain: domainBase,
+  hostnames: Object.values(DOMAINS).map((appDomains) => appDomains[environment]),
+});
 
 /* ---------- S3 Website ---------- */
 const landingPageDomain = DOMAINS['landing-page'][environment];
+// @if cdn
+const cdnCertificate = new CdnCertificateResource(`cdn-certificate-${environment}`, {
+  domains: [landingPageDomain],
+});
+// @endif
 const website = new S3Website(`website-${environment}`, {
   path: join(require.resolve('@{{PROJECT_NAME}}/landing-page'), '../ssg'),
   domain: landingPageDomain,
   environment,
+  // @if cdn
+  certificateArn: cdnCertificate.validation.certificateArn,
+  // @endif
 });
 
 /* ---------- DNS Records ---------- */
 // Website DNS
-const websiteSubdomain = landingPageDomain === DOMAIN_BASE ? '@' : landingPageDomain.replace(`.${DOMAIN_BASE}`, '');
+const websiteSubdomain =
+  landingPageDomain === domainBase ? '@' : landingPageDomain.replace(`.${domainBase}`, '');
 new DNSResource(
   `website-dns-${environment}`,
   {
     environment,
     subdomain: websiteSubdomain,
     name: 'website',
+    // @if cdn
+    cname: website.distribution.domainName,
+    // @else
     cname: website.website.websiteEndpoint,
+    // @endif
     type: 'CNAME',
     comment: 'Main website',
   },
+  // @if cdn
+  { dependsOn: [website.distribution] },
+  // @else
   { dependsOn: [website.website] },
+  // @endif
 );
 
+// @if backend
 /* ---------- Backend ---------- */
+// @if lambda
 const backend = new BackendComponent(
   `backend-${environment}`,
   {
@@ -53,11 +81,30 @@ const backend = new BackendComponent(
   },
   { dependsOn: [certificate.acm] },
 );
+// @else
+const backend = new BackendComponent(`backend-${environment}`, {
+  environment,
+});
+// @endif
 
+// @endif
 /* ---------- Exports ---------- */
+// @if cdn
+export const websiteUrl = website.distribution.domainName;
+export const cloudfrontDistributionId = website.distribution.id;
+// @else
 export const websiteUrl = website.website.websiteEndpoint;
+// @endif
+// @if lambda
 export const apigwUrl = backend.apigateway.api.apiEndpoint;
+// @endif
+// @if dynamo
 export const dynamoTableName = backend.dynamo.table.name;
+// @endif
+// @if s3
 export const s3StorageBucketName = backend.storage.bucket.bucket;
+// @endif
+// @if cognito
 export const cognitoUserPoolId = backend.cognito.userpool.id;
 export const cognitoUserPoolClientId = backend.cognito.userpoolClient.id;
+// @endif
@@ -1,10 +1,32 @@
 /* ---------- External ---------- */
-import { apigatewayv2 } from '@pulumi/aws';
+import { apigatewayv2, type lambda } from '@pulumi/aws';
+// @if cognito
+import {
+  ComponentResource,
+  type ComponentResourceOptions,
+  type Output,
+  interpolate,
+} from '@pulumi/pulumi';
+// @else
 import { ComponentResource, type ComponentResourceOptions, type Output } from '@pulumi/pulumi';
+// @endif
 
 /* ---------- Resources ---------- */
+import { type CorsPolicy, createCorsPolicy } from '../cors';
 import { ApiLambdas } from './lambdas';
+import type { ResourceVariables } from './lambdas/settings';
+// @if access
+import type { AccessResources } from './lambdas/access';
+// @endif
+// @if dynamo
 import type { DynamoResource } from './dynamo';
+// @endif
+// @if cognito
+import type { CognitoResource } from './cognito';
+// @endif
+
+/* ---------- Constants ---------- */
+import type { Environment } from '@{{PROJECT_NAME}}/constants';
 
 /* ---------- Types ---------- */
 interface Props {
@@ -14,29 +36,73 @@ interface Props {
   environment: string;
   certificate: string | Output<string>;
   domain: string;
+
+  /**
+   * Resource identifiers set as environment variables of every function
+   */
+  variables: ResourceVariables;
+
+  /**
+   * Layer with src/common, when the lambdas are built with --layer
+   */
+  layer?: lambda.LayerVersion;
+  // @if dynamo
   dynamodb: DynamoResource;
+  // @endif
+  // @if cognito
+
+  /**
+   * User pool whose tokens are accepted on `cognito` routes
+   */
+  cognito: CognitoResource;
+  // @endif
+  // @if access
+
+  /**
+   * Resources that ROUTE_ACCESS can grant to the functions
+   */
+  resources: AccessResources;
+  // @endif
 }
 
 export class ApigatewayResource extends ComponentResource {
   api: apigatewayv2.Api;
   domain: apigatewayv2.DomainName;
+  // @if cognito
+  authorizer: apigatewayv2.Authorizer;
+  // @endif
   lambdas: ApiLambdas;
 
+  /**
+   * CORS of the HTTP API, also passed to the functions (see src/cors.ts)
+   */
+  cors: CorsPolicy;
+
   public constructor(name: string, props: Props, opts?: ComponentResourceOptions) {
     super(`${name}:index:${props.environment}`, name, {}, opts);
 
+    // @if cognito
+    const { certificate, environment, cognito } = props;
+    // @else
     const { certificate, environment } = props;
+    // @endif
+
+    this.cors = createCorsPolicy(environment as Environment, {
+      methods: ['OPTIONS', 'GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+      headers: ['Content-Type', 'X-Amz-Date', 'Authorization', 'X-Api-Key'],
+      exposeHeaders: ['Content-Type'],
+    });
 
     this.api = new apigatewayv2.Api(
       `api`,
       {
         protocolType: 'HTTP',
         corsConfiguration: {
-          allowOrigins: ['*'],
-          allowMethods: ['OPTIONS', 'GET', 'POST', 'PUT', 'DELETE'],
-          allowHeaders: ['Content-Type', 'X-Amz-Date', 'Authorization', 'X-Api-Key'],
-          exposeHeaders: ['Content-Type'],
-          maxAge: 300,
+          allowOrigins: this.cors.origins,
+          allowMethods: this.cors.methods,
+          allowHeaders: this.cors.headers,
+          exposeHeaders: this.cors.exposeHeaders,
+          maxAge: this.cors.maxAge,
         },
       },
       { parent: this },
@@ -55,11 +121,38 @@ export class ApigatewayResource extends ComponentResource {
       { parent: this },
     );
 
+    // @if cognito
+    // Validates the Cognito ID or access token in the Authorization header of `cognito` routes
+    this.authorizer = new apigatewayv2.Authorizer(
+      `cognito-authorizer`,
+      {
+        apiId: this.api.id,
+        name: 'cognito',
+        authorizerType: 'JWT',
+        identitySources: ['$request.header.Authorization'],
+        jwtConfiguration: {
+          issuer: interpolate`https://${cognito.userpool.endpoint}`,
+          audiences: [cognito.userpoolClient.id],
+        },
+      },
+      { parent: this },
+    );
+
+    // @endif
     this.lambdas = new ApiLambdas(
       `lambdas`,
       {
         environment,
         api: this.api,
+        cors: this.cors,
+        variables: props.variables,
+        layer: props.layer,
+        // @if cognito
+        authorizer: this.authorizer,
+        // @endif
+        // @if access
+        resources: props.resources,
+        // @endif
       },
       { dependsOn: [this.api], parent: this },
     );
@@ -69,7 +162,7 @@ export class ApigatewayResource extends ComponentResource {
         integration,
         route,
         permission,
-      ])
+      ]),
     );
 
     const stage = new apigatewayv2.Stage(
@@ -0,0 +1,84 @@
+/* ---------- External ---------- */
+import { ComponentResource, Config, type ComponentResourceOptions } from '@pulumi/pulumi';
+import { Provider, acm } from '@pulumi/aws';
+import { Record } from '@pulumi/cloudflare';
+
+/* ---------- Interfaces ---------- */
+interface CdnCertificateProps {
+  /**
+   * Hostnames served by the distribution (its `aliases`)
+   */
+  domains: string[];
+}
+
+/* ---------- Constants ---------- */
+const config = new Config();
+
+/**
+ * Publicly trusted ACM certificate for CloudFront, validated through Cloudflare DNS records.
+ * CloudFront only accepts certificates issued by ACM in us-east-1, whatever the region of the
+ * stack, and refuses the Cloudflare Origin CA certificate of CertificateResource
+ */
+export class CdnCertificateResource extends ComponentResource {
+  public readonly provider: Provider;
+  public readonly certificate: acm.Certificate;
+  public readonly records: Record[];
+  public readonly validation: acm.CertificateValidation;
+
+  public constructor(name: string, props: CdnCertificateProps, opts?: ComponentResourceOptions) {
+    super(`${name}:index`, name, {}, opts);
+
+    const [domain, ...alternativeNames] = props.domains;
+
+    this.provider = new Provider(
+      `us-east-1`,
+      {
+        region: 'us-east-1',
+        profile: new Config('aws').get('profile'),
+      },
+      { parent: this },
+    );
+
+    this.certificate = new acm.Certificate(
+      `certificate`,
+      {
+        domainName: domain,
+        subjectAlternativeNames: alternativeNames,
+        validationMethod: 'DNS',
+      },
+      { parent: this, provider: this.provider },
+    );
+
+    // One validation record per hostname. They must not be proxied, ACM reads them directly
+    this.records = props.domains.map((hostname, index) => {
+      const option = this.certificate.domainValidationOptions.apply(
+        (options) =>
+          options.find((candidate) => candidate.domainName === hostname) ?? options[index],
+      );
+
+      return new Record(
+        `validation-${index}`,
+        {
+          zoneId: config.require('cloudflare-zone'),
+          name: option.resourceRecordName.apply((recordName) => recordName.replace(/\.$/, '')),
+          type: option.resourceRecordType,
+          content: option.resourceRecordValue.apply((value) => value.replace(/\.$/, '')),
+          ttl: 60,
+          proxied: false,
+          comment: `ACM validation for ${hostname}`,
+        },
+        { parent: this },
+      );
+    });
+
+    // Waits for ACM to issue the certificate, so the distribution never gets a pending one
+    this.validation = new acm.CertificateValidation(
+      `validation`,
+      {
+        certificateArn: this.certificate.arn,
+        validationRecordFqdns: this.records.map((record) => record.hostname),
+      },
+      { parent: this, provider: this.provider },
+    );
+  }
+}
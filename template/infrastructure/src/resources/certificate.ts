@@ -7,6 +7,12 @@ import { Certificate } from '@pulumi/aws/acm';
 /* ---------- Interfaces ---------- */
 interface CertificateProps {
   domain: string;
+
+  /**
+   * Extra hostnames to cover, such as `api.staging.example.com`. Hostnames already
+   * covered by `domain` and `*.domain` are left out
+   */
+  hostnames?: string[];
 }
 
 export class CertificateResource extends ComponentResource {
@@ -18,7 +24,13 @@ export class CertificateResource extends ComponentResource {
   public constructor(name: string, props: CertificateProps, opts?: ComponentResourceOptions) {
     super(`${name}:index`, name, {}, opts);
 
-    const { domain } = props;
+    const { domain, hostnames = [] } = props;
+
+    // `domain` and `*.domain` only cover a single level of subdomains
+    const isCovered = (hostname: string) =>
+      hostname === domain ||
+      (hostname.endsWith(`.${domain}`) && !hostname.slice(0, -domain.length - 1).includes('.'));
+    const extraHostnames = [...new Set(hostnames.filter((hostname) => !isCovered(hostname)))];
 
     this.key = new PrivateKey(
       `${name}-key`,
@@ -44,7 +56,7 @@ export class CertificateResource extends ComponentResource {
       `${name}-certificate`,
       {
         csr: this.request.certRequestPem,
-        hostnames: [`*.${domain}`, domain],
+        hostnames: [`*.${domain}`, domain, ...extraHostnames],
         requestType: 'origin-rsa',
         requestedValidity: 5475, // Valid for 15 years
       },
@@ -2,6 +2,9 @@
 import { ComponentResource, type ComponentResourceOptions } from '@pulumi/pulumi';
 import { dynamodb } from '@pulumi/aws';
 
+/* ---------- Constants ---------- */
+import { listIndexes } from '@{{PROJECT_NAME}}/constants';
+
 /* ---------- Interfaces ---------- */
 interface Props {
   /**
@@ -23,6 +26,9 @@ export class DynamoResource extends ComponentResource {
 
     const { environment, tableName } = props;
 
+    // One GSI per index used by the access patterns in packages/constants/src/entities.ts
+    const indexes = listIndexes();
+
     this.table = new dynamodb.Table(
       'table',
       {
@@ -30,6 +36,10 @@ export class DynamoResource extends ComponentResource {
         attributes: [
           { name: 'pk', type: 'S' },
           { name: 'sk', type: 'S' },
+          ...indexes.flatMap((index) => [
+            { name: `${index}pk`, type: 'S' },
+            { name: `${index}sk`, type: 'S' },
+          ]),
         ],
         billingMode: 'PAY_PER_REQUEST',
         hashKey: 'pk',
@@ -41,7 +51,12 @@ export class DynamoResource extends ComponentResource {
           enabled: true,
         },
         deletionProtectionEnabled: environment === 'production',
-        globalSecondaryIndexes: [],
+        globalSecondaryIndexes: indexes.map((index) => ({
+          name: index,
+          hashKey: `${index}pk`,
+          rangeKey: `${index}sk`,
+          projectionType: 'ALL',
+        })),
       },
       { parent: this },
     );
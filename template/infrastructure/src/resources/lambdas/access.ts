@@ -0,0 +1,156 @@
+/* ---------- External ---------- */
+import { iam } from '@pulumi/aws';
+// @if cognito
+import type { cognito } from '@pulumi/aws';
+// @endif
+// @if dynamo
+import type { dynamodb } from '@pulumi/aws';
+// @endif
+// @if s3
+import type { s3 } from '@pulumi/aws';
+// @endif
+// @if dynamo || s3
+import { type CustomResourceOptions, type Input, interpolate, jsonStringify } from '@pulumi/pulumi';
+// @else
+import { type CustomResourceOptions, type Input, jsonStringify } from '@pulumi/pulumi';
+// @endif
+import type { ResourceAccess } from '@{{PROJECT_NAME}}/lambdas/src/common/access';
+// @if dynamo
+import { listIndexes } from '@{{PROJECT_NAME}}/constants';
+// @endif
+
+/* ---------- Types ---------- */
+/**
+ * Backend resources that functions can be granted in packages/lambdas/src/common/access.ts
+ */
+export interface AccessResources {
+  // @if dynamo
+  table: dynamodb.Table;
+  // @endif
+  // @if s3
+  bucket: s3.BucketV2;
+  // @endif
+  // @if cognito
+  userpool: cognito.UserPool;
+  // @endif
+}
+
+interface PolicyStatement {
+  Effect: 'Allow';
+  Action: string[];
+  Resource: Input<string> | Input<string>[];
+  Condition?: Record<string, Record<string, string>>;
+}
+
+/* ---------- Constants ---------- */
+// @if dynamo
+const DYNAMO_READ = [
+  'dynamodb:GetItem',
+  'dynamodb:BatchGetItem',
+  'dynamodb:Query',
+  'dynamodb:ConditionCheckItem',
+];
+const DYNAMO_ACTIONS = {
+  read: DYNAMO_READ,
+  write: [
+    ...DYNAMO_READ,
+    'dynamodb:PutItem',
+    'dynamodb:UpdateItem',
+    'dynamodb:DeleteItem',
+    'dynamodb:BatchWriteItem',
+  ],
+};
+// @endif
+// @if s3
+const S3_ACTIONS = {
+  read: ['s3:GetObject'],
+  write: ['s3:GetObject', 's3:PutObject', 's3:DeleteObject'],
+};
+// @endif
+// @if cognito
+const COGNITO_ADMIN_ACTIONS = [
+  'cognito-idp:Admin*',
+  'cognito-idp:ListUsers',
+  'cognito-idp:ListUsersInGroup',
+];
+// @endif
+
+/**
+ * IAM statements for `access`, scoped to the table and its indexes, the bucket prefix and the
+ * user pool
+ */
+export function createAccessStatements(
+  access: ResourceAccess,
+  resources: AccessResources,
+): PolicyStatement[] {
+  const statements: PolicyStatement[] = [];
+  // @if dynamo
+
+  if (access.dynamo) {
+    const { table } = resources;
+    statements.push({
+      Effect: 'Allow',
+      Action: DYNAMO_ACTIONS[access.dynamo],
+      Resource: [
+        table.arn,
+        ...listIndexes().map((index) => interpolate`${table.arn}/index/${index}`),
+      ],
+    });
+  }
+  // @endif
+  // @if s3
+
+  if (access.s3) {
+    const { bucket } = resources;
+    const prefix = access.s3Prefix ?? '';
+    statements.push(
+      {
+        Effect: 'Allow',
+        Action: S3_ACTIONS[access.s3],
+        Resource: interpolate`${bucket.arn}/${prefix}*`,
+      },
+      {
+        Effect: 'Allow',
+        Action: ['s3:ListBucket'],
+        Resource: bucket.arn,
+        ...(prefix && { Condition: { StringLike: { 's3:prefix': `${prefix}*` } } }),
+      },
+    );
+  }
+  // @endif
+  // @if cognito
+
+  if (access.cognito === 'admin') {
+    statements.push({
+      Effect: 'Allow',
+      Action: COGNITO_ADMIN_ACTIONS,
+      Resource: resources.userpool.arn,
+    });
+  }
+  // @endif
+
+  return statements;
+}
+
+/**
+ * Inline policy of a function role with the statements of `access`, undefined when it needs none
+ */
+export function createAccessPolicy(
+  name: string,
+  role: iam.Role,
+  access: ResourceAccess,
+  resources: AccessResources,
+  opts?: CustomResourceOptions,
+): iam.RolePolicy | undefined {
+  const statements = createAccessStatements(access, resources);
+  if (statements.length === 0) return undefined;
+
+  return new iam.RolePolicy(
+    name,
+    {
+      role: role.id,
+      policy: jsonStringify({ Version: '2012-10-17', Statement: statements }),
+    },
+    opts,
+  );
+}
@@ -0,0 +1,101 @@
+/* ---------- External ---------- */
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { lambda } from '@pulumi/aws';
+import { type CustomResourceOptions, asset } from '@pulumi/pulumi';
+import { PROJECT_NAME } from '@{{PROJECT_NAME}}/constants';
+
+/* ---------- Constants ---------- */
+/**
+ * Build output of the lambdas package, one zip per handler (`bun run build:lambdas`)
+ */
+export const LAMBDAS_DIST = join(require.resolve('@{{PROJECT_NAME}}/lambdas/package.json'), '../dist');
+
+/* ---------- Types ---------- */
+export interface Bundle {
+  /**
+   * Zip relative to the build output, named after the hash of its content
+   */
+  zip: string;
+  hash: string;
+
+  /**
+   * Minified code, in bytes
+   */
+  size: number;
+  zippedSize: number;
+}
+
+/**
+ * dist/manifest.json, written by packages/lambdas/build.js
+ */
+export interface BundleManifest {
+  /**
+   * Built with --sourcemap, every zip has the sourcemap of its code
+   */
+  sourcemap: boolean;
+
+  /**
+   * src/common as a layer, when built with --layer
+   */
+  layer: Bundle | null;
+
+  /**
+   * Bundle per handler, keyed by its file in packages/lambdas/src, such as users/[id]/get.ts
+   */
+  functions: Record<string, Bundle>;
+}
+
+let manifest: BundleManifest | undefined;
+
+/**
+ * Reads the manifest of the lambdas build once per deployment
+ */
+export function readManifest(): BundleManifest {
+  const path = join(LAMBDAS_DIST, 'manifest.json');
+  if (!existsSync(path)) {
+    throw new Error(
+      `No Lambda build found at ${LAMBDAS_DIST}. Run \`bun run build:lambdas\` first`,
+    );
+  }
+
+  manifest ??= JSON.parse(readFileSync(path, 'utf8')) as BundleManifest;
+  return manifest;
+}
+
+/**
+ * Code of the function built from `file`, with the variables its build needs
+ */
+export function readBundle(file: string) {
+  const { sourcemap, functions } = readManifest();
+  if (!functions[file]) {
+    throw new Error(
+      `${file} is missing from the Lambda build. Run \`bun run build:lambdas\` again`,
+    );
+  }
+
+  return {
+    code: new asset.FileArchive(join(LAMBDAS_DIST, functions[file].zip)),
+    variables: sourcemap ? { NODE_OPTIONS: '--enable-source-maps' } : {},
+  };
+}
+
+/**
+ * Layer with src/common, mounted at /opt/common, or undefined when the lambdas were built
+ * without --layer
+ */
+export function createCommonLayer(name: string, environment: string, opts?: CustomResourceOptions) {
+  const { layer } = readManifest();
+  if (!layer) return undefined;
+
+  return new lambda.LayerVersion(
+    name,
+    {
+      layerName: `${PROJECT_NAME}-common-${environment}`,
+      code: new asset.FileArchive(join(LAMBDAS_DIST, layer.zip)),
+      compatibleRuntimes: ['nodejs20.x', 'nodejs22.x'],
+      compatibleArchitectures: ['x86_64', 'arm64'],
+    },
+    opts,
+  );
+}
@@ -1,50 +1,124 @@
 /* ---------- External ---------- */
-import { ComponentResource, type ComponentResourceOptions } from '@pulumi/pulumi';
-import { type apigatewayv2, iam } from '@pulumi/aws';
+import { ComponentResource, type ComponentResourceOptions, log, runtime } from '@pulumi/pulumi';
+import type { apigatewayv2, lambda } from '@pulumi/aws';
 
 /* ---------- Resources ---------- */
+import type { CorsPolicy } from '../../cors';
 import { LambdaResource } from './lambda';
-
-/* ---------- Lambdas  ---------- */
-import { Example } from './example';
+import type { ResourceVariables } from './settings';
+// @if access
+import type { AccessResources } from './access';
+// @endif
+import {
+  type Method,
+  type Route,
+  // @if access
+  applyRouteAccess,
+  // @endif
+  // @if cognito
+  applyRouteAuth,
+  // @endif
+  applyRouteSettings,
+  discoverRoutes,
+  formatRouteTable,
+  routeResourceName,
+} from './routes';
 
 /* ---------- Types ---------- */
 interface Props {
   api: apigatewayv2.Api;
   environment: string;
+
+  /**
+   * CORS of the HTTP API, whose origins the functions allow as well
+   */
+  cors: CorsPolicy;
+
+  /**
+   * Resource identifiers set as environment variables of every function
+   */
+  variables: ResourceVariables;
+
+  /**
+   * Layer with src/common, when the lambdas are built with --layer
+   */
+  layer?: lambda.LayerVersion;
+  // @if cognito
+
+  /**
+   * JWT authorizer of the routes whose ROUTE_AUTH is `cognito`
+   */
+  authorizer: apigatewayv2.Authorizer;
+  // @endif
+  // @if access
+
+  /**
+   * Resources that ROUTE_ACCESS can grant to the functions
+   */
+  resources: AccessResources;
+  // @endif
 }
 
 export class ApiLambdas extends ComponentResource {
-  public readonly lambdas: {
-    example: LambdaResource<typeof Example>;
-  } = {} as typeof this.lambdas;
+  /**
+   * Routes found in the lambdas build output (see `packages/lambdas/README.md`)
+   */
+  public readonly routes: Route[];
+
+  /**
+   * One LambdaResource per path, keyed by its resource name (/users/{id} is `users-id`)
+   */
+  public readonly lambdas: Record<string, LambdaResource> = {};
 
   public constructor(name: string, props: Props, opts?: ComponentResourceOptions) {
     super(`${name}:index:${props.environment}`, name, {}, opts);
 
     const { environment, api } = props;
 
-    const defaultRole = new iam.Role(
-      'role',
-      {
-        assumeRolePolicy: iam.assumeRolePolicyForPrincipal({
-          Service: 'lambda.amazonaws.com',
-        }),
-        managedPolicyArns: [iam.ManagedPolicies.AWSLambdaBasicExecutionRole],
-      },
-      { parent: this },
-    );
-
-    this.lambdas.example = new LambdaResource(
-      'example',
-      {
-        Resource: Example,
-        api,
-        environment,
-        path: '/example',
-        role: defaultRole,
-      },
-      { parent: this, dependsOn: [defaultRole] },
-    );
+    this.routes = applyRouteSettings(discoverRoutes());
+    // @if cognito
+    this.routes = applyRouteAuth(this.routes);
+    // @endif
+    // @if access
+    this.routes = applyRouteAccess(this.routes);
+    // @endif
+
+    if (runtime.isDryRun()) {
+      log.info(`API routes (${environment}):\n${formatRouteTable(this.routes)}`);
+    }
+
+    const handlersByPath = new Map<string, Partial<Record<Method, Route>>>();
+    for (const route of this.routes) {
+      handlersByPath.set(route.path, { ...handlersByPath.get(route.path), [route.method]: route });
+    }
+
+    for (const [path, handlers] of handlersByPath) {
+      const lambdaName = routeResourceName(path);
+      if (this.lambdas[lambdaName]) {
+        throw new Error(
+          `Routes ${this.lambdas[lambdaName].path} and ${path} would share the resource name "${lambdaName}"`,
+        );
+      }
+
+      this.lambdas[lambdaName] = new LambdaResource(
+        lambdaName,
+        {
+          api,
+          environment,
+          path,
+          handlers,
+          cors: props.cors,
+          variables: props.variables,
+          layer: props.layer,
+          // @if cognito
+          authorizer: props.authorizer,
+          // @endif
+          // @if access
+          resources: props.resources,
+          // @endif
+        },
+        { parent: this },
+      );
+    }
   }
 }
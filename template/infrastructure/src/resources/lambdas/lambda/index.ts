@@ -1,39 +1,152 @@
 /* ---------- External ---------- */
-import type { apigatewayv2 } from '@pulumi/aws';
-import type { Function as LambdaFunction } from '@pulumi/aws/lambda';
+import { type apigatewayv2, iam, type lambda } from '@pulumi/aws';
+import { Function as LambdaFunction } from '@pulumi/aws/lambda';
 import { ComponentResource, type ComponentResourceOptions } from '@pulumi/pulumi';
 
 /* ---------- Resources ---------- */
+import type { CorsPolicy } from '../../../cors';
 import { LambdaSetupResource } from './setup';
+import { readBundle } from '../bundles';
+import { METHODS, type Method, type Route } from '../routes';
+import { type ResourceVariables, createFunctionArgs } from '../settings';
+// @if access
+import { type AccessResources, createAccessPolicy } from '../access';
+// @endif
 
 /* ---------- Types ---------- */
-type LambdaProps<T> = ConstructProps<T> & {
-  Resource: T;
+interface LambdaProps {
   environment: string;
   path: string;
   api: apigatewayv2.Api;
-};
+  cors: CorsPolicy;
+  variables: ResourceVariables;
+  layer?: lambda.LayerVersion;
 
-/* ---------- Constants ---------- */
-const METHODS = ['GET', 'POST', 'DELETE', 'PUT', 'PATCH'] as const;
+  /**
+   * Discovered route per method
+   */
+  handlers: Partial<Record<Method, Route>>;
+  // @if cognito
 
-export class LambdaResource<T> extends ComponentResource<T> {
-  public readonly functions: Functions;
-  public readonly lambda: LambdaSetupResource;
+  authorizer: apigatewayv2.Authorizer;
+  // @endif
+  // @if access
+
+  resources: AccessResources;
+  // @endif
+}
+
+// @if access
+type FunctionsProps = Pick<
+  LambdaProps,
+  'environment' | 'cors' | 'variables' | 'layer' | 'handlers' | 'resources'
+>;
+// @else
+type FunctionsProps = Pick<
+  LambdaProps,
+  'environment' | 'cors' | 'variables' | 'layer' | 'handlers'
+>;
+// @endif
+
+/**
+ * One function per handler of a path, each with its own role
+ */
+class LambdaFunctions extends ComponentResource {
+  public readonly functions: Partial<Record<Method, LambdaFunction>> = {};
 
-  public constructor(name: string, props: LambdaProps<T>, opts?: ComponentResourceOptions) {
+  public constructor(name: string, props: FunctionsProps, opts?: ComponentResourceOptions) {
     super(`${name}:index:${props.environment}`, name, {}, opts);
 
-    const { Resource: resource, path, api, ...properties } = props;
+    const { environment, cors, variables, layer, handlers } = props;
+
+    for (const method of METHODS.filter((method) => handlers[method])) {
+      // @if cognito
+      const { path, file, settings = {}, auth } = handlers[method];
+      // @else
+      const { path, file, settings = {} } = handlers[method];
+      // @endif
+
+      const role = new iam.Role(
+        `${method}-role`,
+        {
+          assumeRolePolicy: iam.assumeRolePolicyForPrincipal({
+            Service: 'lambda.amazonaws.com',
+          }),
+          managedPolicyArns: [iam.ManagedPolicies.AWSLambdaBasicExecutionRole],
+        },
+        { parent: this },
+      );
+      // @if access
+
+      // Only what ROUTE_ACCESS lists for the route, see packages/lambdas/src/common/access.ts
+      const policy = createAccessPolicy(
+        `${method}-access`,
+        role,
+        handlers[method].access ?? {},
+        props.resources,
+        {
+          parent: this,
+        },
+      );
+      // @endif
+
+      // Zip of the handler from the lambdas build, see packages/lambdas/build.js
+      const bundle = readBundle(file);
 
-    const Resource = resource as unknown as Callable<Functions>;
+      this.functions[method] = new LambdaFunction(
+        method,
+        {
+          role: role.arn,
+          code: bundle.code,
+          handler: 'index.handler',
+          layers: layer ? [layer.arn] : [],
+          // Memory, timeout... from ROUTE_SETTINGS, see packages/lambdas/src/common/settings.ts
+          ...createFunctionArgs(`${method} ${path}`, settings, {
+            ...variables,
+            ...bundle.variables,
+            ENVIRONMENT: environment,
+            // Echoed by safewrapper, see src/common/index.ts in packages/lambdas
+            CORS_ORIGINS: cors.origins.join(','),
+            // @if cognito
+            // Checked by safewrapper, API Gateway can only check scopes
+            ...(auth?.groups?.length && { AUTH_GROUPS: auth.groups.join(',') }),
+            // @endif
+          }),
+        },
+        // @if access
+        { parent: this, dependsOn: policy ? [policy] : [] },
+        // @else
+        { parent: this },
+        // @endif
+      );
+    }
+  }
+}
 
-    this.functions = new Resource(`functions`, properties, { parent: this });
+export class LambdaResource extends ComponentResource {
+  public readonly path: string;
+  public readonly functions: Partial<Record<Method, LambdaFunction>>;
+  public readonly lambda: LambdaSetupResource;
+
+  public constructor(name: string, props: LambdaProps, opts?: ComponentResourceOptions) {
+    super(`${name}:index:${props.environment}`, name, {}, opts);
+
+    // @if cognito
+    const { path, api, authorizer, ...properties } = props;
+    // @else
+    const { path, api, ...properties } = props;
+    // @endif
+
+    this.path = path;
+    this.functions = new LambdaFunctions(`functions`, properties, { parent: this }).functions;
 
     const functionsList = METHODS.filter((method) => Boolean(this.functions[method])).map(
       (method) => ({
         function: this.functions[method],
         method,
+        // @if cognito
+        auth: properties.handlers[method].auth,
+        // @endif
       }),
     );
 
@@ -45,19 +158,11 @@ export class LambdaResource<T> extends ComponentResource<T> {
         functions: functionsList,
         path,
         lambdaName: name,
+        // @if cognito
+        authorizer,
+        // @endif
       },
       { parent: this },
     );
   }
 }
-
-/* ---------- Secondary Types ---------- */
-type ConstructProps<T> = T extends new (
-  arg1: string,
-  arg2: infer U,
-  opts?: ComponentResourceOptions,
-) => unknown
-  ? U
-  : unknown;
-type Callable<T> = new (name: string, props: any, opts?: ComponentResourceOptions) => T;
-type Functions = Record<(typeof METHODS)[number], LambdaFunction>;
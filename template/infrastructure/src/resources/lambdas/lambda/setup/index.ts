@@ -2,10 +2,20 @@
 import { apigatewayv2, lambda } from '@pulumi/aws';
 import { ComponentResource, type ComponentResourceOptions, interpolate } from '@pulumi/pulumi';
 
+/* ---------- Resources ---------- */
+// @if cognito
+import type { Method, Route } from '../../routes';
+// @else
+import type { Method } from '../../routes';
+// @endif
+
 /* ---------- Types ---------- */
 interface Function {
   function: lambda.Function;
-  method: 'GET' | 'POST' | 'PUT' | 'DELETE' | 'PATCH';
+  method: Method;
+  // @if cognito
+  auth?: Route['auth'];
+  // @endif
 }
 
 interface LambdaSetupResourceProps {
@@ -14,6 +24,9 @@ interface LambdaSetupResourceProps {
   path: string;
   environment: string;
   lambdaName: string;
+  // @if cognito
+  authorizer: apigatewayv2.Authorizer;
+  // @endif
 }
 
 export class LambdaSetupResource extends ComponentResource {
@@ -26,9 +39,15 @@ export class LambdaSetupResource extends ComponentResource {
   constructor(name: string, props: LambdaSetupResourceProps, opts?: ComponentResourceOptions) {
     super(`${name}:index:${props.environment}`, name, {}, opts);
 
+    // @if cognito
+    const { api, functions, path, lambdaName, authorizer } = props;
+
+    for (const { function: fn, method, auth } of functions) {
+    // @else
     const { api, functions, path, lambdaName } = props;
 
     for (const { function: fn, method } of functions) {
+    // @endif
       const integration = new apigatewayv2.Integration(
         `integration-${method}`,
         {
@@ -46,6 +65,13 @@ export class LambdaSetupResource extends ComponentResource {
           apiId: api.id,
           routeKey: `${method} ${path}`,
           target: interpolate`integrations/${integration.id}`,
+          // @if cognito
+          ...(auth?.auth === 'cognito' && {
+            authorizationType: 'JWT',
+            authorizerId: authorizer.id,
+            authorizationScopes: auth.scopes,
+          }),
+          // @endif
         },
         { parent: this, deleteBeforeReplace: true },
       );
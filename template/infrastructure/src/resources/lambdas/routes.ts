@@ -0,0 +1,230 @@
+/* ---------- External ---------- */
+import { ROUTE_SETTINGS, type FunctionSettings } from '@{{PROJECT_NAME}}/lambdas/src/common/settings';
+// @if cognito
+import { DEFAULT_AUTH, ROUTE_AUTH, type RouteAuth } from '@{{PROJECT_NAME}}/lambdas/src/common/auth';
+// @endif
+// @if access
+import { ROUTE_ACCESS, type ResourceAccess } from '@{{PROJECT_NAME}}/lambdas/src/common/access';
+// @endif
+
+/* ---------- Resources ---------- */
+import { type BundleManifest, readManifest } from './bundles';
+
+/* ---------- Constants ---------- */
+export const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'ANY'] as const;
+
+/* ---------- Types ---------- */
+export type Method = (typeof METHODS)[number];
+
+export interface Route {
+  /**
+   * HTTP method, ANY matches every method
+   */
+  method: Method;
+
+  /**
+   * API Gateway path, such as /users/{id} or /{proxy+}
+   */
+  path: string;
+
+  /**
+   * Handler, relative to packages/lambdas/src, such as users/[id]/get.ts.
+   * Its zip is listed in the build manifest
+   */
+  file: string;
+
+  /**
+   * Memory, timeout, architecture... of the function, from ROUTE_SETTINGS in
+   * packages/lambdas/src/common/settings.ts
+   */
+  settings?: FunctionSettings;
+  // @if cognito
+
+  /**
+   * Who can call the route, from ROUTE_AUTH in packages/lambdas/src/common/auth.ts
+   */
+  auth?: RouteAuth;
+  // @endif
+  // @if access
+
+  /**
+   * Resources the function can reach, from ROUTE_ACCESS in packages/lambdas/src/common/access.ts
+   */
+  access?: ResourceAccess;
+  // @endif
+}
+
+/**
+ * Maps a handler folder to a path segment: `[id]` becomes `{id}`
+ * and `[...proxy]` the greedy `{proxy+}`
+ */
+function toPathSegment(segment: string, file: string): string {
+  const greedy = segment.match(/^\[\.\.\.(\w+)\]$/);
+  if (greedy) return `{${greedy[1]}+}`;
+
+  const param = segment.match(/^\[(\w+)\]$/);
+  if (param) return `{${param[1]}}`;
+
+  if (/[[\]{}]/.test(segment)) {
+    throw new Error(`Invalid route folder "${segment}" in ${file}. Use [param] or [...param]`);
+  }
+
+  return segment;
+}
+
+/**
+ * Finds every handler in the manifest of the lambdas build. `users/[id]/get.ts` becomes
+ * `GET /users/{id}`, `[...proxy]/any.ts` the catch-all `ANY /{proxy+}` and `get.ts` at the top
+ * level `GET /`.
+ */
+export function discoverRoutes(manifest: BundleManifest = readManifest()): Route[] {
+  const routes: Route[] = [];
+
+  for (const file of Object.keys(manifest.functions)) {
+    const folders = file.split('/');
+    const method = (folders.pop() ?? '').replace(/\.ts$/, '').toUpperCase() as Method;
+
+    // @if dynamo
+    // src/streams holds DynamoDB stream consumers, not routes
+    if (folders[0] === 'streams') continue;
+    // @endif
+    if (!METHODS.includes(method)) continue;
+
+    const segments = folders.map((folder) => toPathSegment(folder, file));
+    if (segments.slice(0, -1).some((segment) => segment.endsWith('+}'))) {
+      throw new Error(
+        `Invalid route ${file}. A [...param] folder must be the last one in the path`,
+      );
+    }
+
+    routes.push({ method, path: `/${segments.join('/')}`, file });
+  }
+
+  return routes.sort(
+    (a, b) => a.path.localeCompare(b.path) || METHODS.indexOf(a.method) - METHODS.indexOf(b.method),
+  );
+}
+
+/**
+ * Sets the function settings of every route from ROUTE_SETTINGS,
+ * and fails on entries that match no route
+ */
+export function applyRouteSettings(routes: Route[]): Route[] {
+  const routeKeys = new Set(routes.map(({ method, path }) => `${method} ${path}`));
+  const unknownKeys = Object.keys(ROUTE_SETTINGS).filter((key) => !routeKeys.has(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`ROUTE_SETTINGS lists routes that do not exist: ${unknownKeys.join(', ')}`);
+  }
+
+  return routes.map((route) => ({
+    ...route,
+    settings: ROUTE_SETTINGS[`${route.method} ${route.path}`] ?? {},
+  }));
+}
+
+// @if cognito
+/**
+ * Sets the auth of every route from ROUTE_AUTH, and fails on entries that match no route
+ */
+export function applyRouteAuth(routes: Route[]): Route[] {
+  const routeKeys = new Set(routes.map(({ method, path }) => `${method} ${path}`));
+  const unknownKeys = Object.keys(ROUTE_AUTH).filter((key) => !routeKeys.has(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`ROUTE_AUTH lists routes that do not exist: ${unknownKeys.join(', ')}`);
+  }
+
+  return routes.map((route) => ({
+    ...route,
+    auth: ROUTE_AUTH[`${route.method} ${route.path}`] ?? DEFAULT_AUTH,
+  }));
+}
+
+// @endif
+// @if access
+/**
+ * Sets the resources every route can reach from ROUTE_ACCESS,
+ * and fails on entries that match no route
+ */
+export function applyRouteAccess(routes: Route[]): Route[] {
+  const routeKeys = new Set(routes.map(({ method, path }) => `${method} ${path}`));
+  const unknownKeys = Object.keys(ROUTE_ACCESS).filter((key) => !routeKeys.has(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`ROUTE_ACCESS lists routes that do not exist: ${unknownKeys.join(', ')}`);
+  }
+
+  return routes.map((route) => ({
+    ...route,
+    access: ROUTE_ACCESS[`${route.method} ${route.path}`] ?? {},
+  }));
+}
+
+// @endif
+/**
+ * Pulumi resource name for every route under `path`:
+ * /users/{id} becomes users-id and / becomes root
+ */
+export function routeResourceName(path: string): string {
+  const name = path
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => segment.replace(/[{}+]/g, ''))
+    .join('-');
+
+  return name || 'root';
+}
+
+/**
+ * Route table printed on `pulumi preview`
+ */
+export function formatRouteTable(routes: Route[]): string {
+  if (routes.length === 0) return '  (no routes)';
+
+  // Only what differs from DEFAULT_SETTINGS, e.g. memorySize:512 timeout:20
+  const describeSettings = ({ settings = {} }: Route) =>
+    Object.entries(settings)
+      .filter(([setting]) => setting !== 'environment')
+      .map(([setting, value]) => `${setting}:${value}`)
+      .join(' ');
+  // @if cognito
+
+  const describeAuth = ({ auth }: Route) =>
+    [
+      auth?.auth,
+      ...(auth?.scopes?.map((scope) => `scope:${scope}`) ?? []),
+      ...(auth?.groups?.map((group) => `group:${group}`) ?? []),
+    ]
+      .filter(Boolean)
+      .join(' ');
+  // @endif
+  // @if access
+
+  const describeAccess = ({ access = {} }: Route) =>
+    Object.entries(access)
+      .map(([resource, level]) => `${resource}:${level}`)
+      .join(' ');
+  // @endif
+
+  const rows = routes.map((route) => [
+    route.method,
+    route.path,
+    route.file,
+    describeSettings(route),
+    // @if cognito
+    describeAuth(route),
+    // @endif
+    // @if access
+    describeAccess(route),
+    // @endif
+  ]);
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+
+  return rows
+    .map(
+      (row) =>
+        `  ${row
+          .map((cell, column) => cell.padEnd(widths[column] + 2))
+          .join('')
+          .trimEnd()}`,
+    )
+    .join('\n');
+}
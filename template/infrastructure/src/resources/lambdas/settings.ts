@@ -0,0 +1,62 @@
+/* ---------- External ---------- */
+import type { lambda } from '@pulumi/aws';
+import type { Input } from '@pulumi/pulumi';
+import type { ResourceEnv } from '@{{PROJECT_NAME}}/lambdas/src/common/env';
+import { DEFAULT_SETTINGS, type FunctionSettings } from '@{{PROJECT_NAME}}/lambdas/src/common/settings';
+
+/* ---------- Types ---------- */
+/**
+ * Value of every variable of ResourceEnv (packages/lambdas/src/common/env.ts), filled in by
+ * BackendComponent
+ */
+export type ResourceVariables = { [Name in keyof ResourceEnv]: Input<string> };
+
+type FunctionSettingsArgs = Pick<
+  lambda.FunctionArgs,
+  | 'runtime'
+  | 'memorySize'
+  | 'timeout'
+  | 'architectures'
+  | 'reservedConcurrentExecutions'
+  | 'environment'
+>;
+
+/**
+ * Lambda arguments for the settings of a function. `variables` are the ones set by the
+ * infrastructure, which the settings cannot override
+ */
+export function createFunctionArgs(
+  name: string,
+  settings: FunctionSettings,
+  variables: Record<string, Input<string>>,
+): FunctionSettingsArgs {
+  const { runtime, memorySize, timeout, architecture, reservedConcurrency, environment } = {
+    ...DEFAULT_SETTINGS,
+    ...settings,
+  };
+
+  if (!Number.isInteger(memorySize) || memorySize < 128 || memorySize > 10240) {
+    throw new Error(`Invalid memorySize ${memorySize} for ${name}. Use 128 to 10240 MB`);
+  }
+  if (!Number.isInteger(timeout) || timeout < 1 || timeout > 900) {
+    throw new Error(`Invalid timeout ${timeout} for ${name}. Use 1 to 900 seconds`);
+  }
+
+  const overridden = Object.keys(environment).filter((variable) => variable in variables);
+  if (overridden.length > 0) {
+    throw new Error(
+      `The environment of ${name} overrides variables set by the infrastructure: ${overridden.join(', ')}`,
+    );
+  }
+
+  return {
+    runtime,
+    memorySize,
+    timeout,
+    architectures: [architecture],
+    ...(reservedConcurrency !== undefined && { reservedConcurrentExecutions: reservedConcurrency }),
+    environment: {
+      variables: { ...environment, ...variables },
+    },
+  };
+}
@@ -2,6 +2,10 @@
 import { ComponentResource, type ComponentResourceOptions } from '@pulumi/pulumi';
 import { s3 } from '@pulumi/aws';
 
+/* ---------- Constants ---------- */
+import type { Environment } from '@{{PROJECT_NAME}}/constants';
+import { createCorsPolicy } from '../cors';
+
 /* ---------- Interfaces ---------- */
 interface Props {
   environment: string;
@@ -50,17 +54,24 @@ export class S3StorageResource extends ComponentResource {
       { parent: this, dependsOn: [this.bucket] },
     );
 
+    // Browsers only upload and download through presigned URLs
+    const cors = createCorsPolicy(environment as Environment, {
+      methods: ['GET', 'HEAD', 'PUT'],
+      exposeHeaders: ['ETag'],
+      maxAge: 3000,
+    });
+
     new s3.BucketCorsConfigurationV2(
       'cors',
       {
         bucket: this.bucket.id,
         corsRules: [
           {
-            allowedHeaders: ['*'],
-            allowedMethods: ['GET', 'PUT', 'POST', 'DELETE'],
-            allowedOrigins: ['*'],
-            exposeHeaders: ['ETag'],
-            maxAgeSeconds: 3000,
+            allowedHeaders: cors.headers,
+            allowedMethods: cors.methods,
+            allowedOrigins: cors.origins,
+            exposeHeaders: cors.exposeHeaders,
+            maxAgeSeconds: cors.maxAge,
           },
         ],
       },
@@ -1,26 +1,112 @@
 /* ---------- External ---------- */
+// @if cdn
+import { createHash } from 'node:crypto';
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import {
+  ComponentResource,
+  Config,
+  all,
+  interpolate,
+  log,
+  type ComponentResourceOptions,
+  type Input,
+} from '@pulumi/pulumi';
+import { cloudfront, s3 } from '@pulumi/aws';
+import { local } from '@pulumi/command';
+// @else
 import { ComponentResource, type ComponentResourceOptions } from '@pulumi/pulumi';
 import { s3 } from '@pulumi/aws';
+// @endif
 import * as synced from '@pulumi/synced-folder';
 
+/* ---------- Constants ---------- */
+import type { Environment } from '@{{PROJECT_NAME}}/constants';
+import { createCorsPolicy } from '../cors';
+
 /* ---------- Interfaces ---------- */
 interface S3WebsiteProps {
   path: string;
   domain: string;
   environment: string;
+  // @if cdn
+
+  /**
+   * ARN of a publicly trusted ACM certificate in us-east-1, see CdnCertificateResource
+   */
+  certificateArn: Input<string>;
+  // @endif
 }
+// @if cdn
+
+/* ---------- Constants ---------- */
+// Cache-Control per asset type. Everything else (HTML) is revalidated on every request,
+// so a deploy shows up right away
+const cacheRules = [
+  { name: 'assets', maxAge: 86400, extensions: ['js', 'css', 'json', 'map'] },
+  {
+    name: 'media',
+    maxAge: 2592000,
+    extensions: ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'avif', 'ico', 'woff', 'woff2', 'ttf'],
+  },
+];
+
+// Serves `/about` and `/about/` from `/about/index.html`, like the S3 website endpoint does
+const indexRewrite = `function handler(event) {
+  var request = event.request;
+  if (request.uri.endsWith('/')) {
+    request.uri += 'index.html';
+  } else if (request.uri.split('/').pop().indexOf('.') === -1) {
+    request.uri += '/index.html';
+  }
+  return request;
+}`;
+
+// Hash of every file in `dir`, so the CDN cache is only invalidated when the site changed.
+// Empty until the site is built, so `pulumi preview` works on a fresh checkout
+function hashFolder(dir: string): string {
+  if (!existsSync(dir)) return '';
+
+  const hash = createHash('sha256');
+  const walk = (current: string) => {
+    for (const entry of readdirSync(current, { withFileTypes: true }).sort((a, b) =>
+      a.name.localeCompare(b.name),
+    )) {
+      const entryPath = join(current, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else {
+        hash.update(relative(dir, entryPath));
+        hash.update(readFileSync(entryPath));
+      }
+    }
+  };
+  walk(dir);
+  return hash.digest('hex');
+}
+// @endif
 
 export class S3Website extends ComponentResource {
   public readonly bucket: s3.BucketV2;
   public readonly access: s3.BucketPublicAccessBlock;
   public readonly policy: s3.BucketPolicy;
+  // @if cdn
+  public readonly originAccessControl: cloudfront.OriginAccessControl;
+  public readonly distribution: cloudfront.Distribution;
+  public readonly invalidation: local.Command;
+  // @else
   public readonly website: s3.BucketWebsiteConfigurationV2;
+  // @endif
   public readonly syncedFolder: synced.S3BucketFolder;
 
   public constructor(name: string, props: S3WebsiteProps, opts?: ComponentResourceOptions) {
     super(`${name}:index`, name, {}, opts);
 
+    // @if cdn
+    const { path, domain, environment, certificateArn } = props;
+    // @else
     const { path, domain, environment } = props;
+    // @endif
 
     this.bucket = new s3.BucketV2(
       `bucket`,
@@ -31,6 +117,159 @@ export class S3Website extends ComponentResource {
       { parent: this },
     );
 
+    // @if cdn
+    // The bucket stays private, CloudFront reads it through Origin Access Control
+    this.access = new s3.BucketPublicAccessBlock(
+      `access`,
+      {
+        bucket: this.bucket.id,
+        blockPublicAcls: true,
+        blockPublicPolicy: true,
+        ignorePublicAcls: true,
+        restrictPublicBuckets: true,
+      },
+      { parent: this, dependsOn: [this.bucket] },
+    );
+
+    this.originAccessControl = new cloudfront.OriginAccessControl(
+      `oac`,
+      {
+        name: domain,
+        description: `CloudFront access to the ${domain} bucket`,
+        originAccessControlOriginType: 's3',
+        signingBehavior: 'always',
+        signingProtocol: 'sigv4',
+      },
+      { parent: this },
+    );
+
+    const indexFunction = new cloudfront.Function(
+      `index-rewrite`,
+      {
+        runtime: 'cloudfront-js-2.0',
+        code: indexRewrite,
+        publish: true,
+      },
+      { parent: this },
+    );
+
+    // One cache policy and Cache-Control header per asset type
+    const createCaching = (ruleName: string, maxAge: number) => ({
+      cachePolicyId: new cloudfront.CachePolicy(
+        `cache-${ruleName}`,
+        {
+          minTtl: 0,
+          defaultTtl: maxAge,
+          maxTtl: 31536000,
+          parametersInCacheKeyAndForwardedToOrigin: {
+            cookiesConfig: { cookieBehavior: 'none' },
+            headersConfig: { headerBehavior: 'none' },
+            queryStringsConfig: { queryStringBehavior: 'all' },
+            enableAcceptEncodingGzip: true,
+            enableAcceptEncodingBrotli: true,
+          },
+        },
+        { parent: this },
+      ).id,
+      responseHeadersPolicyId: new cloudfront.ResponseHeadersPolicy(
+        `headers-${ruleName}`,
+        {
+          customHeadersConfig: {
+            items: [
+              {
+                header: 'Cache-Control',
+                value:
+                  maxAge > 0 ? `public, max-age=${maxAge}` : 'public, max-age=0, must-revalidate',
+                override: true,
+              },
+            ],
+          },
+        },
+        { parent: this },
+      ).id,
+    });
+
+    const cacheBehavior = {
+      targetOriginId: 's3',
+      viewerProtocolPolicy: 'redirect-to-https',
+      allowedMethods: ['GET', 'HEAD', 'OPTIONS'],
+      cachedMethods: ['GET', 'HEAD'],
+      compress: true,
+    };
+
+    this.distribution = new cloudfront.Distribution(
+      `distribution`,
+      {
+        enabled: true,
+        isIpv6Enabled: true,
+        httpVersion: 'http2and3',
+        priceClass: 'PriceClass_100',
+        comment: domain,
+        aliases: [domain],
+        defaultRootObject: 'index.html',
+        origins: [
+          {
+            originId: 's3',
+            domainName: this.bucket.bucketRegionalDomainName,
+            originAccessControlId: this.originAccessControl.id,
+          },
+        ],
+        defaultCacheBehavior: {
+          ...cacheBehavior,
+          ...createCaching('html', 0),
+          functionAssociations: [{ eventType: 'viewer-request', functionArn: indexFunction.arn }],
+        },
+        orderedCacheBehaviors: cacheRules.flatMap(({ name: ruleName, maxAge, extensions }) => {
+          const caching = createCaching(ruleName, maxAge);
+          return extensions.map((extension) => ({
+            ...cacheBehavior,
+            ...caching,
+            pathPattern: `*.${extension}`,
+          }));
+        }),
+        // Private buckets answer 403 for missing keys
+        customErrorResponses: [403, 404].map((errorCode) => ({
+          errorCode,
+          responseCode: 404,
+          responsePagePath: '/404/index.html',
+          errorCachingMinTtl: 60,
+        })),
+        restrictions: { geoRestriction: { restrictionType: 'none' } },
+        viewerCertificate: {
+          acmCertificateArn: certificateArn,
+          sslSupportMethod: 'sni-only',
+          minimumProtocolVersion: 'TLSv1.2_2021',
+        },
+      },
+      { parent: this, dependsOn: [this.bucket, this.originAccessControl] },
+    );
+
+    this.policy = new s3.BucketPolicy(
+      `policy`,
+      {
+        bucket: this.bucket.id,
+        policy: all([this.bucket.arn, this.distribution.arn]).apply(([arn, distributionArn]) =>
+          JSON.stringify({
+            Version: '2012-10-17',
+            Statement: [
+              {
+                Sid: `cloudfront-${name}`,
+                Effect: 'Allow',
+                Principal: { Service: 'cloudfront.amazonaws.com' },
+                Action: ['s3:GetObject'],
+                Resource: [`${arn}/*`],
+                Condition: { StringEquals: { 'AWS:SourceArn': distributionArn } },
+              },
+            ],
+          }),
+        ),
+      },
+      {
+        parent: this,
+        dependsOn: [this.bucket, this.access],
+      },
+    );
+    // @else
     this.access = new s3.BucketPublicAccessBlock(
       `access`,
       {
@@ -67,6 +306,9 @@ export class S3Website extends ComponentResource {
         dependsOn: [this.bucket, this.access],
       },
     );
+    // @endif
+
+    const cors = createCorsPolicy(environment as Environment, { methods: ['GET', 'HEAD'] });
 
     new s3.BucketCorsConfigurationV2(
       `cors`,
@@ -74,10 +316,11 @@ export class S3Website extends ComponentResource {
         bucket: this.bucket.id,
         corsRules: [
           {
-            allowedHeaders: ['*'],
-            allowedMethods: ['GET'],
-            allowedOrigins: ['*'],
-            exposeHeaders: [],
+            allowedHeaders: cors.headers,
+            allowedMethods: cors.methods,
+            allowedOrigins: cors.origins,
+            exposeHeaders: cors.exposeHeaders,
+            maxAgeSeconds: cors.maxAge,
           },
         ],
       },
@@ -94,6 +337,23 @@ export class S3Website extends ComponentResource {
       { parent: this, dependsOn: [this.policy, this.bucket] },
     );
 
+    // @if cdn
+    // Invalidate the CDN cache whenever the site content changes. Runs the AWS CLI where Pulumi
+    // runs, so `aws` must be on the PATH
+    if (!existsSync(path)) {
+      log.warn(`${path} does not exist yet, build the landing page before deploying`, this);
+    }
+    const awsProfile = new Config('aws').get('profile');
+    this.invalidation = new local.Command(
+      `invalidation`,
+      {
+        create: interpolate`aws cloudfront create-invalidation --distribution-id ${this.distribution.id} --paths "/*"`,
+        triggers: [hashFolder(path)],
+        environment: awsProfile ? { AWS_PROFILE: awsProfile } : {},
+      },
+      { parent: this, dependsOn: [this.distribution, this.syncedFolder] },
+    );
+    // @else
     this.website = new s3.BucketWebsiteConfigurationV2(
       `website-config`,
       {
@@ -103,5 +363,6 @@ export class S3Website extends ComponentResource {
       },
       { parent: this, dependsOn: [this.bucket, this.policy, this.access, this.syncedFolder] },
     );
+    // @endif
   }
 }
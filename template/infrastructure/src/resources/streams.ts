@@ -0,0 +1,188 @@
+/* ---------- External ---------- */
+import { type dynamodb, iam, lambda, sqs } from '@pulumi/aws';
+import { ComponentResource, type ComponentResourceOptions, jsonStringify } from '@pulumi/pulumi';
+import { STREAMS, type StreamConfig } from '@{{PROJECT_NAME}}/lambdas/src/common/streams';
+
+/* ---------- Resources ---------- */
+import { type AccessResources, createAccessPolicy } from './lambdas/access';
+import { readBundle, readManifest } from './lambdas/bundles';
+import { type ResourceVariables, createFunctionArgs } from './lambdas/settings';
+
+/* ---------- Interfaces ---------- */
+interface Props {
+  /**
+   * Application environment, such as development, staging, production...
+   */
+  environment: string;
+
+  /**
+   * Table whose stream is consumed
+   */
+  table: dynamodb.Table;
+
+  /**
+   * Resources that the `access` of a consumer in STREAMS can grant
+   */
+  resources: AccessResources;
+
+  /**
+   * Resource identifiers set as environment variables of every consumer
+   */
+  variables: ResourceVariables;
+
+  /**
+   * Layer with src/common, when the lambdas are built with --layer
+   */
+  layer?: lambda.LayerVersion;
+}
+
+interface ConsumerProps extends Props {
+  config: StreamConfig;
+}
+
+/**
+ * Lambda event filters matching the configured entities and events.
+ * Removed items only have an old image
+ */
+function createFilters({ entities, events = ['INSERT', 'MODIFY', 'REMOVE'] }: StreamConfig) {
+  const entityFilter = entities ? { entity: { S: entities } } : undefined;
+
+  return [
+    { eventName: events.filter((event) => event !== 'REMOVE'), image: 'NewImage' },
+    { eventName: events.filter((event) => event === 'REMOVE'), image: 'OldImage' },
+  ]
+    .filter(({ eventName }) => eventName.length > 0)
+    .map(({ eventName, image }) => ({
+      pattern: JSON.stringify({
+        eventName,
+        ...(entityFilter && { dynamodb: { [image]: entityFilter } }),
+      }),
+    }));
+}
+
+/**
+ * One stream consumer: the function, its event source mapping and its dead-letter queue
+ */
+class StreamConsumerResource extends ComponentResource {
+  public readonly function: lambda.Function;
+  public readonly deadLetterQueue: sqs.Queue;
+  public readonly mapping: lambda.EventSourceMapping;
+
+  public constructor(name: string, props: ConsumerProps, opts?: ComponentResourceOptions) {
+    super(`${name}:index:${props.environment}`, name, {}, opts);
+
+    const { environment, table, resources, variables, layer, config } = props;
+
+    // Batches that still fail after the retries end up here,
+    // with the shard and sequence numbers to replay
+    this.deadLetterQueue = new sqs.Queue(
+      'dlq',
+      {
+        messageRetentionSeconds: 1209600,
+      },
+      { parent: this },
+    );
+
+    const role = new iam.Role(
+      'role',
+      {
+        assumeRolePolicy: iam.assumeRolePolicyForPrincipal({
+          Service: 'lambda.amazonaws.com',
+        }),
+        managedPolicyArns: [iam.ManagedPolicies.AWSLambdaDynamoDBExecutionRole],
+      },
+      { parent: this },
+    );
+
+    const dlqPolicy = new iam.RolePolicy(
+      'dlq-policy',
+      {
+        role: role.id,
+        policy: jsonStringify({
+          Version: '2012-10-17',
+          Statement: [
+            { Effect: 'Allow', Action: 'sqs:SendMessage', Resource: this.deadLetterQueue.arn },
+          ],
+        }),
+      },
+      { parent: this },
+    );
+
+    const accessPolicy = createAccessPolicy('access-policy', role, config.access ?? {}, resources, {
+      parent: this,
+    });
+
+    // Zip of src/streams/<name>.ts from the lambdas build
+    const bundle = readBundle(`streams/${name}.ts`);
+
+    this.function = new lambda.Function(
+      'function',
+      {
+        role: role.arn,
+        code: bundle.code,
+        handler: 'index.handler',
+        layers: layer ? [layer.arn] : [],
+        // Memory, timeout... from the settings in STREAMS, see
+        // packages/lambdas/src/common/settings.ts
+        ...createFunctionArgs(
+          `stream consumer ${name}`,
+          { timeout: 30, ...config.settings },
+          {
+            ...variables,
+            ...bundle.variables,
+            ENVIRONMENT: environment,
+          },
+        ),
+      },
+      { parent: this, dependsOn: accessPolicy ? [accessPolicy] : [] },
+    );
+
+    this.mapping = new lambda.EventSourceMapping(
+      'mapping',
+      {
+        eventSourceArn: table.streamArn,
+        functionName: this.function.arn,
+        startingPosition: 'LATEST',
+        batchSize: config.batchSize ?? 100,
+        bisectBatchOnFunctionError: config.bisectOnError ?? true,
+        maximumRetryAttempts: config.maxRetries ?? 3,
+        functionResponseTypes: ['ReportBatchItemFailures'],
+        destinationConfig: {
+          onFailure: { destinationArn: this.deadLetterQueue.arn },
+        },
+        filterCriteria: { filters: createFilters(config) },
+      },
+      { parent: this, dependsOn: [dlqPolicy] },
+    );
+  }
+}
+
+export class StreamConsumersResource extends ComponentResource {
+  /**
+   * One consumer per file in packages/lambdas/src/streams, keyed by its name
+   */
+  public readonly consumers: Record<string, StreamConsumerResource> = {};
+
+  public constructor(name: string, props: Props, opts?: ComponentResourceOptions) {
+    super(`${name}:index:${props.environment}`, name, {}, opts);
+
+    const names = Object.keys(readManifest().functions)
+      .filter((file) => file.startsWith('streams/'))
+      .map((file) => file.replace(/^streams\/|\.ts$/g, ''));
+
+    const unknownNames = Object.keys(STREAMS).filter((streamName) => !names.includes(streamName));
+    if (unknownNames.length > 0) {
+      throw new Error(
+        `STREAMS lists consumers without a handler in packages/lambdas/src/streams: ${unknownNames.join(', ')}`,
+      );
+    }
+
+    for (const streamName of names) {
+      this.consumers[streamName] = new StreamConsumerResource(
+        streamName,
+        { ...props, config: STREAMS[streamName] ?? {} },
+        { parent: this },
+      );
+    }
+  }
+}
@@ -0,0 +1,171 @@
+// Entities stored in the single DynamoDB table and the access patterns that read them.
+// The infrastructure creates one GSI per index used below, and the lambdas repository
+// (packages/lambdas/src/common/repository.ts) builds every key from the same definitions.
+
+/* ---------- Entities ---------- */
+/**
+ * Attributes of each entity. A field must be declared here before a key template uses it.
+ */
+export interface Entities {
+  user: {
+    id: string;
+    email: string;
+    name: string;
+    createdAt: string;
+  };
+  order: {
+    id: string;
+    userId: string;
+    total: number;
+    createdAt: string;
+  };
+}
+
+/**
+ * Primary key and access patterns of each entity. `{field}` placeholders are filled from the item,
+ * and entities can share an index as long as their key templates start differently.
+ */
+export const ENTITIES = defineEntities({
+  user: {
+    key: { pk: 'USER#{id}', sk: 'PROFILE' },
+    patterns: {
+      // User by email
+      byEmail: { index: 'gsi1', pk: 'EMAIL#{email}', sk: 'USER' },
+    },
+  },
+  order: {
+    key: { pk: 'ORDER#{id}', sk: 'ORDER' },
+    patterns: {
+      // Orders of a user sorted by date
+      byUser: { index: 'gsi1', pk: 'USER#{userId}', sk: 'ORDER#{createdAt}#{id}' },
+    },
+  },
+});
+
+/* ---------- Types ---------- */
+export type EntityName = keyof Entities;
+
+/**
+ * Global secondary index, stored in the `<index>pk` and `<index>sk` attributes
+ */
+export type IndexName = `gsi${number}`;
+
+export interface KeyTemplate {
+  pk: string;
+  sk: string;
+}
+
+export interface AccessPattern extends KeyTemplate {
+  index: IndexName;
+}
+
+export interface EntityDefinition {
+  key: KeyTemplate;
+  /**
+   * Named ways to query the entity, `{}` when it is only read by its key
+   */
+  patterns: Record<string, AccessPattern>;
+}
+
+// Names of the `{field}` placeholders of a key template such as 'ORDER#{createdAt}#{id}'
+export type KeyFields<Template> = Template extends `${string}{${infer Field}}${infer Rest}`
+  ? Field | KeyFields<Rest>
+  : never;
+
+// Makes templates that use undeclared fields a type error
+type CheckedTemplates<Item, Definition> = {
+  [Key in keyof Definition]: Definition[Key] extends string
+    ? KeyFields<Definition[Key]> extends keyof Item
+      ? Definition[Key]
+      : never
+    : CheckedTemplates<Item, Definition[Key]>;
+};
+
+function defineEntities<const Definitions extends Record<EntityName, EntityDefinition>>(
+  definitions: Definitions & {
+    [Entity in EntityName]: CheckedTemplates<Entities[Entity], Definitions[Entity]>;
+  },
+): Definitions {
+  return definitions;
+}
+
+/* ---------- Keys ---------- */
+/**
+ * Fills every placeholder of a key template, e.g. ('USER#{id}', { id: '42' }) -> 'USER#42'
+ */
+export function buildKey(template: string, values: Record<string, unknown>): string {
+  return template.replace(/\{(\w+)\}/g, (_, field: string) => {
+    if (values[field] === undefined || values[field] === null) {
+      throw new Error(`Missing "${field}" to build the key ${template}`);
+    }
+    return String(values[field]);
+  });
+}
+
+/**
+ * Fills the placeholders of a key template up to the first missing value, for `begins_with`
+ * queries: ('ORDER#{createdAt}#{id}', { createdAt: '2025-01' }) -> 'ORDER#2025-01'
+ */
+export function buildKeyPrefix(template: string, values: Record<string, unknown>): string {
+  let prefix = '';
+  let filled = false;
+
+  for (const [, text, field] of template.matchAll(/([^{]*)(?:\{(\w+)\})?/g)) {
+    if (!field) return prefix + text;
+
+    // The static text in front of the first field always narrows to the entity, the separator
+    // after a value only when the next field is given too (a partial value can be a prefix)
+    if (values[field] === undefined || values[field] === null)
+      return filled ? prefix : prefix + text;
+
+    prefix += text + String(values[field]);
+    filled = true;
+  }
+
+  return prefix;
+}
+
+/**
+ * Drops the key attributes stored next to an item (pk, sk, entity and one pair per index)
+ */
+export function removeKeys<Entity extends EntityName>(
+  entity: Entity,
+  stored: Record<string, unknown>,
+): Entities[Entity] {
+  const { pk, sk, entity: _entity, ...item } = stored;
+  const indexKeys = new Set(
+    Object.values(ENTITIES[entity].patterns).flatMap(({ index }) => [`${index}pk`, `${index}sk`]),
+  );
+
+  return Object.fromEntries(
+    Object.entries(item).filter(([key]) => !indexKeys.has(key)),
+  ) as Entities[Entity];
+}
+
+/**
+ * Every GSI the entities need. Fails when an entity uses the same index for two patterns,
+ * since an item only has one `<index>pk`/`<index>sk` pair
+ */
+export function listIndexes(entities: Record<string, EntityDefinition> = ENTITIES): IndexName[] {
+  const indexes = new Set<IndexName>();
+
+  for (const [entity, { patterns }] of Object.entries(entities)) {
+    const used = new Map<IndexName, string>();
+
+    for (const [pattern, { index }] of Object.entries(patterns)) {
+      if (!/^gsi\d+$/.test(index)) {
+        throw new Error(`${entity}.${pattern}: invalid index "${index}", expected gsi1, gsi2...`);
+      }
+      if (used.has(index)) {
+        throw new Error(
+          `${entity}.${pattern}: ${index} is already used by ${entity}.${used.get(index)}`,
+        );
+      }
+
+      used.set(index, pattern);
+      indexes.add(index);
+    }
+  }
+
+  return [...indexes].sort((a, b) => Number(a.slice(3)) - Number(b.slice(3)));
+}
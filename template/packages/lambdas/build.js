@@ -1,11 +1,160 @@
-import { build } from 'esbuild';
+import { createHash } from 'node:crypto';
+import { mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { dirname, isAbsolute, join, relative, resolve } from 'node:path';
+import { build, context } from 'esbuild';
+import { zipSync } from 'fflate';
 import { glob } from 'glob';
 
-const entryPoints = glob.sync('src/**/*.ts', {
+/* ---------- Options ---------- */
+const args = process.argv.slice(2);
+
+// Ships a sourcemap next to each bundle, the functions get NODE_OPTIONS=--enable-source-maps for
+// readable stack traces
+const sourcemap = args.includes('--sourcemap');
+
+// Bundles src/common once into a Lambda layer shared by every function,
+// instead of into each of them
+const layer = args.includes('--layer');
+
+// Rebuilds on every change. New handler files need a restart
+const watch = args.includes('--watch');
+
+// Largest minified bundle, in KB.
+// Every KB is parsed on a cold start, so the build fails above these
+const SIZE_BUDGETS = {
+  function: 1024,
+  layer: 5 * 1024,
+};
+
+/* ---------- Entry Points ---------- */
+// Only files named after an HTTP method are handlers,
+// the infrastructure turns each one into a route
+// @if dynamo
+// Files in src/streams are DynamoDB stream consumers (see src/common/streams.ts)
+const handlers = glob.sync(['src/**/{get,post,put,patch,delete,any}.ts', 'src/streams/*.ts'], {
   ignore: ['src/common/**'],
 });
+// @else
+const handlers = glob.sync('src/**/{get,post,put,patch,delete,any}.ts', {
+  ignore: ['src/common/**'],
+});
+// @endif
+
+const entryPoints = layer ? [...handlers, ...glob.sync('src/common/*.ts')] : handlers;
+
+/* ---------- Layer ---------- */
+const COMMON_DIR = resolve('src/common');
+
+// Imports of src/common are left to the layer, mounted at /opt/common in the function
+const commonLayerPlugin = {
+  name: 'common-layer',
+  setup(build) {
+    build.onResolve({ filter: /^\./ }, ({ path, resolveDir, kind }) => {
+      if (kind === 'entry-point') return undefined;
+
+      const file = relative(COMMON_DIR, resolve(resolveDir, path));
+      if (file.startsWith('..') || isAbsolute(file)) return undefined;
+
+      return { path: `/opt/common/${file.replace(/\.ts$/, '') || 'index'}.js`, external: true };
+    });
+  },
+};
+
+/* ---------- Output ---------- */
+// Fixed dates keep the zips, and their hash, the same for the same code
+const ZIP_OPTIONS = { level: 9, mtime: new Date('2000-01-01T00:00:00Z') };
+
+const formatSize = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+
+/**
+ * Zip of the bundle and its sourcemap under `folder`, named after the hash of its content
+ */
+function writeZip(name, bundles, folder = '') {
+  const files = {};
+  let size = 0;
+
+  for (const { file, code, map } of bundles) {
+    const source = map ? `${code}\n//# sourceMappingURL=${file}.map\n` : code;
+    files[`${folder}${file}`] = new TextEncoder().encode(source);
+    if (map) files[`${folder}${file}.map`] = map;
+    size += Buffer.byteLength(code);
+  }
+
+  const zip = zipSync(files, ZIP_OPTIONS);
+  const hash = createHash('sha256').update(zip).digest('hex').slice(0, 12);
+  const path = `${name}-${hash}.zip`;
 
-await build({
+  mkdirSync(dirname(join('dist', path)), { recursive: true });
+  writeFileSync(join('dist', path), zip);
+
+  return { zip: path, hash, size, zippedSize: zip.length };
+}
+
+/**
+ * Writes a zip per function, the layer and dist/manifest.json, which the infrastructure deploys,
+ * then prints their sizes. Returns false when a bundle is over its budget
+ */
+function writeBundles(outputFiles) {
+  // Handlers that were removed must not be deployed again
+  rmSync('dist', { recursive: true, force: true });
+
+  const outputs = new Map();
+  for (const { path, text } of outputFiles) {
+    const file = relative(resolve('dist'), path).split('\\').join('/');
+    if (file.endsWith('.map')) continue;
+
+    const map = outputFiles.find((output) => output.path === `${path}.map`);
+    outputs.set(file.replace(/\.js$/, ''), { code: text, map: map?.contents });
+  }
+
+  const manifest = { sourcemap, layer: null, functions: {} };
+  const rows = [];
+
+  const commonOutputs = [...outputs].filter(([name]) => name.startsWith('common/'));
+  if (commonOutputs.length > 0) {
+    const bundles = commonOutputs.map(([name, output]) => ({
+      file: `${name.replace('common/', '')}.js`,
+      ...output,
+    }));
+    manifest.layer = writeZip('layer', bundles, 'common/');
+    rows.push({ name: 'layer (src/common)', ...manifest.layer, budget: SIZE_BUDGETS.layer });
+  }
+
+  for (const [name, output] of outputs) {
+    if (name.startsWith('common/')) continue;
+
+    // Keyed by the source file, such as users/[id]/get.ts
+    const bundle = writeZip(name, [{ file: 'index.js', ...output }]);
+    manifest.functions[`${name}.ts`] = bundle;
+    rows.push({ name: `${name}.ts`, ...bundle, budget: SIZE_BUDGETS.function });
+  }
+
+  writeFileSync('dist/manifest.json', `${JSON.stringify(manifest, null, 2)}\n`);
+
+  const overBudget = rows.filter(({ size, budget }) => size > budget * 1024);
+  const width = Math.max(...rows.map(({ name }) => name.length));
+  console.log(
+    `\n${'Bundle'.padEnd(width)}  ${'Size'.padStart(10)}  ${'Zipped'.padStart(10)}  Budget`,
+  );
+  for (const row of rows) {
+    const status = overBudget.includes(row) ? '✗ over budget' : '';
+    console.log(
+      `${row.name.padEnd(width)}  ${formatSize(row.size).padStart(10)}  ${formatSize(row.zippedSize).padStart(10)}  ${row.budget} KB ${status}`.trimEnd(),
+    );
+  }
+
+  if (overBudget.length > 0) {
+    console.error(
+      `\n${overBudget.length} bundle(s) over their size budget (SIZE_BUDGETS in build.js)`,
+    );
+    return false;
+  }
+
+  return true;
+}
+
+/* ---------- Build ---------- */
+const options = {
   entryPoints,
   bundle: true,
   platform: 'node',
@@ -15,7 +164,33 @@ await build({
   outbase: 'src',
   external: ['@aws-sdk/*'],
   minify: true,
-  sourcemap: false,
-});
+  // The sourceMappingURL is added when zipping, as every function is renamed index.js
+  sourcemap: sourcemap ? 'external' : false,
+  sourcesContent: false,
+  write: false,
+  plugins: layer ? [commonLayerPlugin] : [],
+};
+
+if (watch) {
+  const rebuildPlugin = {
+    name: 'write-bundles',
+    setup(build) {
+      build.onEnd(({ errors, outputFiles }) => {
+        if (errors.length > 0) return;
+        writeBundles(outputFiles);
+        console.log(
+          `\n[${new Date().toLocaleTimeString()}] Build complete, watching for changes...`,
+        );
+      });
+    },
+  };
+
+  const ctx = await context({ ...options, plugins: [...options.plugins, rebuildPlugin] });
+  await ctx.watch();
+} else {
+  const { outputFiles } = await build(options);
+
+  if (!writeBundles(outputFiles)) process.exit(1);
 
-console.log('Build complete!');
+  console.log('\nBuild complete!');
+}
@@ -0,0 +1,28 @@
+import { createRequire } from 'node:module';
+import { parentPort, workerData } from 'node:worker_threads';
+
+// Execution environment of a route for dev.js, like a Lambda instance: loads its bundle with the
+// variables of its function as process.env, then runs the events dev.js sends, one at a time
+
+// Handler stack traces point to the TypeScript sources
+process.setSourceMapsEnabled(true);
+
+const require = createRequire(import.meta.url);
+const { handler } = require(workerData.file);
+
+parentPort.on('message', async ({ event, context, deadline }) => {
+  const lambdaContext = {
+    ...context,
+    getRemainingTimeInMillis: () => Math.max(deadline - Date.now(), 0),
+  };
+
+  try {
+    const result = await handler(event, lambdaContext);
+    parentPort.postMessage({ result });
+  } catch (error) {
+    // Errors lose their class when cloned, dev.js logs the message and stack
+    parentPort.postMessage({
+      error: { message: error?.message ?? String(error), stack: error?.stack },
+    });
+  }
+});
@@ -0,0 +1,528 @@
+import { randomUUID } from 'node:crypto';
+import { createServer } from 'node:http';
+import { createRequire } from 'node:module';
+import { join, resolve } from 'node:path';
+import { Worker } from 'node:worker_threads';
+import { context } from 'esbuild';
+import { glob } from 'glob';
+// @if dynamo && s3
+import {
+  DYNAMODB_TABLES,
+  LOCAL_AWS_ENV,
+  LOCAL_ENVIRONMENT,
+  S3_STORAGE_BUCKETS,
+} from '@{{PROJECT_NAME}}/constants';
+// @endif
+// @if dynamo && !s3
+import { DYNAMODB_TABLES, LOCAL_AWS_ENV, LOCAL_ENVIRONMENT } from '@{{PROJECT_NAME}}/constants';
+// @endif
+// @if s3 && !dynamo
+import { LOCAL_AWS_ENV, LOCAL_ENVIRONMENT, S3_STORAGE_BUCKETS } from '@{{PROJECT_NAME}}/constants';
+// @endif
+
+/* ---------- Options ---------- */
+const PORT = Number(process.env.PORT) || 3334;
+
+// @if dynamo || s3
+// Stack whose table and bucket the handlers use, unless TABLE_NAME or STORAGE_BUCKET are set. By
+// default the local one, on the emulators started by `bun run local:up`
+const ENVIRONMENT = process.env.ENVIRONMENT || LOCAL_ENVIRONMENT;
+
+// The AWS SDK of the handlers reads the endpoints and credentials of the emulators
+// from these variables
+if (ENVIRONMENT === LOCAL_ENVIRONMENT) {
+  for (const [name, value] of Object.entries(LOCAL_AWS_ENV)) {
+    process.env[name] ??= value;
+  }
+}
+// @else
+// Value of ENVIRONMENT in the handlers
+const ENVIRONMENT = process.env.ENVIRONMENT || 'development';
+// @endif
+
+// Origins allowed by the local API, the landing page dev server by default
+const CORS_ORIGINS = process.env.CORS_ORIGINS || 'http://localhost:3000';
+
+const DEV_DIST = resolve('.dev');
+const WORKER = new URL('./dev-worker.js', import.meta.url);
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'ANY'];
+
+/**
+ * Variables the infrastructure sets on every function (see src/common/env.ts)
+ */
+const FUNCTION_ENV = {
+  ENVIRONMENT,
+  CORS_ORIGINS,
+  // @if dynamo
+  TABLE_NAME: process.env.TABLE_NAME || DYNAMODB_TABLES[ENVIRONMENT],
+  // @endif
+  // @if s3
+  STORAGE_BUCKET: process.env.STORAGE_BUCKET || S3_STORAGE_BUCKETS[ENVIRONMENT],
+  // @endif
+  // @if cognito
+  // Generated by Cognito, copy them from the user pool of the stack
+  USER_POOL_ID: process.env.USER_POOL_ID || '',
+  USER_POOL_CLIENT_ID: process.env.USER_POOL_CLIENT_ID || '',
+  // @endif
+};
+
+const missingEnv = Object.keys(FUNCTION_ENV).filter((name) => !FUNCTION_ENV[name]);
+if (missingEnv.length > 0) {
+  console.warn(
+    `Set ${missingEnv.join(', ')} to call the handlers that read them (no value for ENVIRONMENT=${ENVIRONMENT})`,
+  );
+}
+
+/* ---------- Routes ---------- */
+// Same handler files as build.js, without the stream consumers
+const handlers = glob.sync('src/**/{get,post,put,patch,delete,any}.ts', {
+  // @if dynamo
+  ignore: ['src/common/**', 'src/streams/**'],
+  // @else
+  ignore: ['src/common/**'],
+  // @endif
+});
+
+/**
+ * Path segments of a handler, as in infrastructure/src/resources/lambdas/routes.ts: `[id]` is the
+ * parameter `{id}` and `[...proxy]` the greedy `{proxy+}`
+ */
+function toSegments(file) {
+  return file
+    .split('/')
+    .slice(0, -1)
+    .map((folder) => {
+      const greedy = folder.match(/^\[\.\.\.(\w+)\]$/);
+      if (greedy) return { type: 'greedy', name: greedy[1], key: `{${greedy[1]}+}` };
+
+      const param = folder.match(/^\[(\w+)\]$/);
+      if (param) return { type: 'param', name: param[1], key: `{${param[1]}}` };
+
+      return { type: 'literal', name: folder, key: folder };
+    });
+}
+
+// Static segments win over parameters, which win over greedy ones,
+// like API Gateway picks the most specific route
+const SEGMENT_WEIGHTS = { literal: 2, param: 1, greedy: 0 };
+
+function compareRoutes(a, b) {
+  for (let index = 0; index < Math.max(a.segments.length, b.segments.length); index++) {
+    const weightA = a.segments[index] ? SEGMENT_WEIGHTS[a.segments[index].type] : -1;
+    const weightB = b.segments[index] ? SEGMENT_WEIGHTS[b.segments[index].type] : -1;
+    if (weightA !== weightB) return weightB - weightA;
+  }
+
+  return (a.method === 'ANY') - (b.method === 'ANY');
+}
+
+/**
+ * Path parameters of the request when it matches the route, or null
+ */
+function matchPath(segments, parts) {
+  const pathParameters = {};
+
+  for (const [index, segment] of segments.entries()) {
+    if (segment.type === 'greedy') {
+      if (parts.length <= index) return null;
+      pathParameters[segment.name] = parts.slice(index).map(decodeURIComponent).join('/');
+      return pathParameters;
+    }
+
+    if (parts[index] === undefined) return null;
+    if (segment.type === 'literal' && parts[index] !== segment.name) return null;
+    if (segment.type === 'param') pathParameters[segment.name] = decodeURIComponent(parts[index]);
+  }
+
+  return parts.length === segments.length ? pathParameters : null;
+}
+
+let routes = [];
+
+/**
+ * Most specific route for the method and path, with its path parameters
+ */
+function findRoute(method, pathname) {
+  const parts = pathname.split('/').filter(Boolean);
+
+  for (const route of routes) {
+    if (route.method !== method && route.method !== 'ANY') continue;
+
+    const pathParameters = matchPath(route.segments, parts);
+    if (pathParameters) return { route, pathParameters };
+  }
+
+  return null;
+}
+
+/**
+ * Loads the latest bundles with the auth, settings and variables of each route
+ */
+function loadRoutes() {
+  const require = createRequire(import.meta.url);
+  for (const path of Object.keys(require.cache)) {
+    if (path.startsWith(DEV_DIST)) delete require.cache[path];
+  }
+
+  // Workers of the previous build still run the old bundles
+  for (const route of routes) {
+    for (const worker of route.workers) worker.terminate();
+  }
+
+  const { DEFAULT_SETTINGS, ROUTE_SETTINGS } = require(join(DEV_DIST, 'common/settings.cjs'));
+  // @if cognito
+  const { DEFAULT_AUTH, ROUTE_AUTH } = require(join(DEV_DIST, 'common/auth.cjs'));
+  // @endif
+
+  routes = handlers
+    .map((source) => {
+      const file = source.replace(/^src\//, '');
+      const segments = toSegments(file);
+      const method = file.split('/').pop().replace(/\.ts$/, '').toUpperCase();
+      const path = `/${segments.map(({ key }) => key).join('/')}`;
+      const routeKey = `${method} ${path}`;
+      const settings = { ...DEFAULT_SETTINGS, ...ROUTE_SETTINGS[routeKey] };
+      // @if cognito
+      const auth = ROUTE_AUTH[routeKey] ?? DEFAULT_AUTH;
+      // @endif
+
+      const env = {
+        ...settings.environment,
+        ...FUNCTION_ENV,
+        // @if cognito
+        ...(auth.groups?.length && { AUTH_GROUPS: auth.groups.join(',') }),
+        // @endif
+      };
+
+      // @if cognito
+      return {
+        method,
+        path,
+        routeKey,
+        file,
+        segments,
+        settings,
+        auth,
+        env,
+        workers: new Set(),
+        idle: [],
+      };
+      // @else
+      return {
+        method,
+        path,
+        routeKey,
+        file,
+        segments,
+        settings,
+        env,
+        workers: new Set(),
+        idle: [],
+      };
+      // @endif
+    })
+    .sort(compareRoutes);
+}
+
+// Worker of a route (dev-worker.js), with the variables of its function as process.env
+function startWorker(route) {
+  const env = { ...process.env };
+  for (const [name, value] of Object.entries(route.env)) {
+    if (value !== undefined) env[name] = value;
+  }
+
+  const worker = new Worker(WORKER, {
+    workerData: { file: join(DEV_DIST, route.file.replace(/\.ts$/, '.cjs')) },
+    env,
+  });
+  route.workers.add(worker);
+
+  // A handler that cannot load, such as one missing a variable, fails its own requests only
+  worker.on('error', (error) =>
+    console.error(`${route.routeKey} (${route.file}) stopped: ${error.message}`),
+  );
+  worker.on('exit', () => {
+    route.workers.delete(worker);
+    route.idle = route.idle.filter((idle) => idle !== worker);
+  });
+
+  return worker;
+}
+
+/**
+ * Runs the event on an idle worker of the route, or on a new one. Like Lambda instances, each
+ * worker handles one request at a time, so concurrent requests never share variables or module
+ * state, and a worker whose request times out is stopped with whatever it was still running
+ */
+function invoke(route, event, context) {
+  const { timeout } = route.settings;
+  const deadline = Date.now() + timeout * 1000;
+  const worker = route.idle.pop() ?? startWorker(route);
+
+  return new Promise((resolve, reject) => {
+    const settle = () => {
+      clearTimeout(timer);
+      worker.off('message', onMessage).off('error', onError).off('exit', onExit);
+    };
+
+    const onMessage = ({ result, error }) => {
+      settle();
+      route.idle.push(worker);
+      if (error) {
+        reject(Object.assign(new Error(error.message), { stack: error.stack }));
+      } else {
+        resolve(result);
+      }
+    };
+    const onError = (error) => {
+      settle();
+      reject(error);
+    };
+    const onExit = () => {
+      settle();
+      reject(new Error('Reloaded before it answered'));
+    };
+
+    const timer = setTimeout(() => {
+      settle();
+      worker.terminate();
+      reject(new Error(`Task timed out after ${timeout} seconds`));
+    }, timeout * 1000);
+
+    worker.on('message', onMessage).on('error', onError).on('exit', onExit);
+    worker.postMessage({ event, context, deadline });
+  });
+}
+
+/* ---------- Events ---------- */
+const TEXT_CONTENT_TYPES = /^(text\/|application\/(json|x-www-form-urlencoded|xml|javascript))|^$/;
+
+/**
+ * Payload format 2.0 event of API Gateway HTTP APIs for the request
+ */
+function createEvent(route, request, url, body, pathParameters) {
+  const headers = {};
+  for (const [name, value] of Object.entries(request.headers)) {
+    if (name !== 'cookie') headers[name] = Array.isArray(value) ? value.join(',') : value;
+  }
+
+  const queryStringParameters = {};
+  for (const name of new Set(url.searchParams.keys())) {
+    queryStringParameters[name] = url.searchParams.getAll(name).join(',');
+  }
+
+  const isBase64Encoded = !TEXT_CONTENT_TYPES.test(headers['content-type']?.split(';')[0] ?? '');
+  const now = Date.now();
+
+  return {
+    version: '2.0',
+    routeKey: route.routeKey,
+    rawPath: url.pathname,
+    rawQueryString: url.search.slice(1),
+    cookies: request.headers.cookie?.split(';').map((cookie) => cookie.trim()),
+    headers,
+    queryStringParameters:
+      Object.keys(queryStringParameters).length > 0 ? queryStringParameters : undefined,
+    pathParameters: Object.keys(pathParameters).length > 0 ? pathParameters : undefined,
+    requestContext: {
+      accountId: 'local',
+      apiId: 'local',
+      domainName: headers.host,
+      domainPrefix: 'localhost',
+      http: {
+        method: request.method,
+        path: url.pathname,
+        protocol: `HTTP/${request.httpVersion}`,
+        sourceIp: request.socket.remoteAddress,
+        userAgent: headers['user-agent'] ?? '',
+      },
+      requestId: randomUUID(),
+      routeKey: route.routeKey,
+      stage: '$default',
+      time: new Date(now).toISOString(),
+      timeEpoch: now,
+    },
+    body: body.length > 0 ? body.toString(isBase64Encoded ? 'base64' : 'utf8') : undefined,
+    isBase64Encoded,
+  };
+}
+
+// @if cognito
+/**
+ * Claims of the Bearer token, like the JWT authorizer of API Gateway.
+ * The signature is not checked locally
+ */
+function readToken(request) {
+  const token = request.headers.authorization?.replace(/^Bearer /i, '');
+
+  try {
+    const claims = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+    if (claims.exp * 1000 < Date.now()) return null;
+
+    return { claims, scopes: claims.scope?.split(' ') ?? [] };
+  } catch {
+    return null;
+  }
+}
+
+// @endif
+/**
+ * Response of the handler as API Gateway sends it: objects without statusCode are JSON bodies
+ */
+function toResponse(result) {
+  if (result?.statusCode === undefined) {
+    return {
+      statusCode: 200,
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(result),
+    };
+  }
+
+  const headers = { ...result.headers };
+  if (result.cookies?.length) headers['set-cookie'] = result.cookies;
+
+  return {
+    statusCode: result.statusCode,
+    headers,
+    body: result.isBase64Encoded ? Buffer.from(result.body ?? '', 'base64') : result.body ?? '',
+  };
+}
+
+function corsHeaders(request) {
+  const origin = request.headers.origin;
+  if (!origin || !CORS_ORIGINS.split(',').includes(origin)) return {};
+
+  return { 'access-control-allow-origin': origin, vary: 'Origin' };
+}
+
+/* ---------- Server ---------- */
+const server = createServer(async (request, response) => {
+  const started = Date.now();
+  const url = new URL(request.url, `http://${request.headers.host}`);
+
+  const chunks = [];
+  for await (const chunk of request) chunks.push(chunk);
+  const body = Buffer.concat(chunks);
+
+  const send = ({ statusCode, headers = {}, body = '' }) => {
+    response.writeHead(statusCode, { ...corsHeaders(request), ...headers });
+    response.end(body);
+    console.log(`${request.method} ${url.pathname} ${statusCode} ${Date.now() - started}ms`);
+  };
+  const sendJson = (statusCode, message) =>
+    send({
+      statusCode,
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ message }),
+    });
+
+  // Preflights are answered by API Gateway, with the methods and headers of
+  // src/resources/apigateway.ts
+  if (request.method === 'OPTIONS' && request.headers['access-control-request-method']) {
+    return send({
+      statusCode: 204,
+      headers: {
+        'access-control-allow-methods': 'OPTIONS,GET,POST,PUT,PATCH,DELETE',
+        'access-control-allow-headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key',
+        'access-control-max-age': '300',
+      },
+    });
+  }
+
+  const match = findRoute(request.method, url.pathname);
+  if (!match) return sendJson(404, 'Not Found');
+
+  const { route, pathParameters } = match;
+
+  const event = createEvent(route, request, url, body, pathParameters);
+  // @if cognito
+
+  if (route.auth.auth === 'cognito') {
+    const jwt = readToken(request);
+    if (!jwt) return sendJson(401, 'Unauthorized');
+    if (route.auth.scopes?.some((scope) => !jwt.scopes.includes(scope)))
+      return sendJson(403, 'Forbidden');
+
+    event.requestContext.authorizer = { jwt };
+  }
+  // @endif
+
+  const lambdaContext = {
+    functionName: route.routeKey,
+    functionVersion: '$LATEST',
+    memoryLimitInMB: String(route.settings.memorySize),
+    awsRequestId: event.requestContext.requestId,
+  };
+
+  try {
+    const result = await invoke(route, event, lambdaContext);
+    send(toResponse(result));
+  } catch (error) {
+    console.error(`${route.routeKey} (${route.file}) failed:`, error);
+    sendJson(500, 'Internal Server Error');
+  }
+});
+
+/* ---------- Build ---------- */
+// Handler stack traces point to the TypeScript sources
+process.setSourceMapsEnabled(true);
+
+let listening = false;
+
+const reloadPlugin = {
+  name: 'reload-routes',
+  setup(build) {
+    build.onEnd(({ errors }) => {
+      if (errors.length > 0) return;
+
+      try {
+        loadRoutes();
+      } catch (error) {
+        console.error('Could not load the handlers:', error);
+        return;
+      }
+
+      if (listening) {
+        console.log(`[${new Date().toLocaleTimeString()}] Reloaded ${routes.length} routes`);
+        return;
+      }
+
+      listening = true;
+      server.listen(PORT, () => {
+        const table = [...routes].sort(
+          (a, b) =>
+            a.path.localeCompare(b.path) || METHODS.indexOf(a.method) - METHODS.indexOf(b.method),
+        );
+        const width = Math.max(...table.map(({ routeKey }) => routeKey.length));
+        console.log(
+          table.map(({ routeKey, file }) => `  ${routeKey.padEnd(width)}  ${file}`).join('\n'),
+        );
+        console.log(
+          `\nLambdas running on http://localhost:${PORT} (${ENVIRONMENT} resources), watching for changes...`,
+        );
+      });
+    });
+  },
+};
+
+const ctx = await context({
+  // @if cognito
+  entryPoints: [...handlers, 'src/common/settings.ts', 'src/common/auth.ts'],
+  // @else
+  entryPoints: [...handlers, 'src/common/settings.ts'],
+  // @endif
+  bundle: true,
+  platform: 'node',
+  target: 'node20',
+  format: 'cjs',
+  // The package is an ES module, so CommonJS bundles need their own extension to be required
+  outExtension: { '.js': '.cjs' },
+  outdir: DEV_DIST,
+  outbase: 'src',
+  external: ['@aws-sdk/*'],
+  sourcemap: 'inline',
+  logLevel: 'warning',
+  plugins: [reloadPlugin],
+});
+
+await ctx.watch();
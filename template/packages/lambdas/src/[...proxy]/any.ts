@@ -0,0 +1,6 @@
+import { NotFoundError, safewrapper } from '../common';
+
+// Catch-all route: answers every request that no other handler matches
+export const handler = safewrapper(async (event) => {
+  throw new NotFoundError(`No route for ${event.requestContext.http.method} ${event.rawPath}`);
+});
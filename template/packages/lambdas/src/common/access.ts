@@ -0,0 +1,50 @@
+// Resources each route can reach,
+// read by the infrastructure when it creates the IAM role of every function
+
+export type Access = 'read' | 'write';
+
+export interface ResourceAccess {
+  // @if dynamo
+  /**
+   * The DynamoDB table and its indexes, `write` includes `read`
+   */
+  dynamo?: Access;
+  // @endif
+  // @if s3
+  /**
+   * The storage bucket, `write` includes `read` and deleting objects
+   */
+  s3?: Access;
+
+  /**
+   * Keys the `s3` access is limited to, such as `uploads/` (default: the whole bucket)
+   */
+  s3Prefix?: string;
+  // @endif
+  // @if cognito
+  /**
+   * Cognito admin API on the user pool (AdminGetUser, AdminAddUserToGroup, ListUsers...)
+   */
+  cognito?: 'admin';
+  // @endif
+}
+
+/**
+ * Access per route, keyed like the route table of `pulumi preview`. Routes that are not listed
+ * can only write their CloudWatch logs
+ */
+// @if dynamo || s3
+export const ROUTE_ACCESS: Record<string, ResourceAccess> = {
+  // @if dynamo
+  'GET /example/{id}': { dynamo: 'read' },
+  'POST /example': { dynamo: 'write' },
+  // @endif
+  // @if s3
+  // Presigned URLs carry the permissions of the function that signed them
+  'POST /uploads': { s3: 'write', s3Prefix: 'users/' },
+  'GET /uploads/{key+}': { s3: 'read', s3Prefix: 'users/' },
+  // @endif
+};
+// @else
+export const ROUTE_ACCESS: Record<string, ResourceAccess> = {};
+// @endif
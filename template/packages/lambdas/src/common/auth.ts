@@ -0,0 +1,34 @@
+// Route authorization, read by the infrastructure when it creates the API Gateway routes
+
+export interface RouteAuth {
+  /**
+   * `public` routes can be called by anyone, `cognito` routes need a token from the user pool
+   */
+  auth: 'public' | 'cognito';
+
+  /**
+   * OAuth scopes the access token must have, checked by API Gateway
+   */
+  scopes?: string[];
+
+  /**
+   * Cognito groups allowed to call the route (any of them), checked by `safewrapper`
+   */
+  groups?: string[];
+}
+
+/**
+ * Auth of every route that is not listed in ROUTE_AUTH
+ */
+export const DEFAULT_AUTH: RouteAuth = { auth: 'public' };
+
+/**
+ * Auth per route, keyed by `METHOD /path` as listed in the route table of `pulumi preview`
+ */
+export const ROUTE_AUTH: Record<string, RouteAuth> = {
+  'GET /example/{id}': { auth: 'cognito' },
+  // @if s3
+  'POST /uploads': { auth: 'cognito' },
+  'GET /uploads/{key+}': { auth: 'cognito' },
+  // @endif
+};
@@ -0,0 +1,57 @@
+// Environment variables of the functions,
+// set by the infrastructure (BackendComponent) on every Lambda
+
+/**
+ * Identifiers of the resources created next to the functions
+ */
+// @if access
+export interface ResourceEnv {
+  // @if dynamo
+  /**
+   * DynamoDB table name
+   */
+  TABLE_NAME: string;
+  // @endif
+  // @if s3
+  /**
+   * Storage bucket name
+   */
+  STORAGE_BUCKET: string;
+  // @endif
+  // @if cognito
+  /**
+   * Cognito user pool id, such as us-east-1_AbCdEfGhI
+   */
+  USER_POOL_ID: string;
+
+  /**
+   * Cognito app client id of the user pool
+   */
+  USER_POOL_CLIENT_ID: string;
+  // @endif
+}
+// @else
+export type ResourceEnv = Record<never, never>;
+// @endif
+
+export interface FunctionEnv extends ResourceEnv {
+  /**
+   * Application environment, such as development, staging, production...
+   */
+  ENVIRONMENT: string;
+}
+
+/**
+ * Reads a variable set by the infrastructure,
+ * and fails when it is missing instead of calling AWS with `undefined`
+ */
+export function readEnv<Name extends keyof FunctionEnv>(name: Name): FunctionEnv[Name] {
+  const value = process.env[name];
+  if (!value) {
+    throw new Error(
+      `Missing environment variable ${name}. It is set on deployed functions by the infrastructure`,
+    );
+  }
+
+  return value as FunctionEnv[Name];
+}
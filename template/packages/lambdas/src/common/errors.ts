@@ -0,0 +1,91 @@
+/* ---------- Types ---------- */
+/**
+ * Problem with one field of the request, such as
+ * { field: 'items[0].size', message: 'must be an integer' }
+ */
+export interface FieldError {
+  field: string;
+  message: string;
+}
+
+/**
+ * Body of every error response of the functions
+ */
+export interface ErrorEnvelope {
+  error: {
+    /**
+     * Stable identifier for clients, such as NOT_FOUND or VALIDATION_FAILED
+     */
+    code: string;
+    message: string;
+    /**
+     * Request id of API Gateway, also on the logs of the request
+     */
+    requestId: string;
+    /**
+     * Set on 422 responses
+     */
+    fields?: FieldError[];
+    /**
+     * Stack of an unexpected error, outside production only
+     */
+    stack?: string;
+  };
+}
+
+/* ---------- Errors ---------- */
+/**
+ * Error answered with its status and message by safewrapper. Throw it, or one of the classes below,
+ * from a handler instead of building the error response
+ */
+export class HttpError extends Error {
+  public constructor(
+    public readonly statusCode: number,
+    public readonly code: string,
+    message: string,
+  ) {
+    super(message);
+  }
+}
+
+export class BadRequestError extends HttpError {
+  public constructor(message = 'Bad request') {
+    super(400, 'BAD_REQUEST', message);
+  }
+}
+
+export class UnauthorizedError extends HttpError {
+  public constructor(message = 'Unauthorized') {
+    super(401, 'UNAUTHORIZED', message);
+  }
+}
+
+export class ForbiddenError extends HttpError {
+  public constructor(message = 'Forbidden') {
+    super(403, 'FORBIDDEN', message);
+  }
+}
+
+export class NotFoundError extends HttpError {
+  public constructor(message = 'Not found') {
+    super(404, 'NOT_FOUND', message);
+  }
+}
+
+export class ConflictError extends HttpError {
+  public constructor(message = 'Conflict') {
+    super(409, 'CONFLICT', message);
+  }
+}
+
+/**
+ * Request that does not match its schema (see ./schema.ts), with every field in error
+ */
+export class ValidationError extends HttpError {
+  public constructor(
+    public readonly fields: FieldError[],
+    message = 'Invalid request',
+  ) {
+    super(422, 'VALIDATION_FAILED', message);
+  }
+}
@@ -0,0 +1,250 @@
+import type { APIGatewayProxyEventV2, APIGatewayProxyStructuredResultV2 } from 'aws-lambda';
+import { BadRequestError } from './errors';
+import { type Infer, type Schema, validate } from './schema';
+
+/* ---------- Types ---------- */
+/**
+ * Event of the HTTP API, in payload format 2.0 (`payloadFormatVersion` of the integrations)
+ */
+export type HttpEvent = APIGatewayProxyEventV2;
+
+/**
+ * Response of a handler. API Gateway turns `cookies` into Set-Cookie headers
+ */
+export type HttpResponse = APIGatewayProxyStructuredResultV2;
+
+export interface ResponseOptions {
+  statusCode?: number;
+  headers?: Record<string, string>;
+  /**
+   * Set-Cookie values, see `cookie()`
+   */
+  cookies?: string[];
+}
+
+/**
+ * Type of a path or query parameter: `list` reads a repeated query parameter, such as ?tag=a&tag=b
+ */
+export type ParamType = 'string' | 'number' | 'integer' | 'boolean' | 'list';
+
+type ParamValue<Type extends ParamType> = Type extends 'number' | 'integer'
+  ? number
+  : Type extends 'boolean'
+    ? boolean
+    : Type extends 'list'
+      ? string[]
+      : string;
+
+export type Params<Shape extends Record<string, ParamType>> = {
+  [Name in keyof Shape]: ParamValue<Shape[Name]>;
+};
+
+/* ---------- Body ---------- */
+/**
+ * Raw body of the request. API Gateway encodes binary bodies, and some text ones, in base64
+ */
+export function readBody(event: HttpEvent): string {
+  if (!event.body) return '';
+  return event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+}
+
+/**
+ * JSON body of the request. With a schema (see ./schema.ts), its fields are checked and a body that
+ * does not match is answered with a 422. Without one, the type is not checked: validate the fields
+ * before using them
+ */
+export function parseJson<S extends Schema>(event: HttpEvent, schema: S): Infer<S>;
+export function parseJson<Body = unknown>(event: HttpEvent): Body;
+export function parseJson(event: HttpEvent, schema?: Schema): unknown {
+  const body = readBody(event);
+  if (!body) throw new BadRequestError('Missing JSON body');
+
+  let value: unknown;
+  try {
+    value = JSON.parse(body);
+  } catch {
+    throw new BadRequestError('Invalid JSON body');
+  }
+
+  return schema ? validate(schema, value) : value;
+}
+
+/**
+ * Fields of an application/x-www-form-urlencoded body. Repeated fields are read as arrays
+ */
+export function parseForm(event: HttpEvent): Record<string, string | string[]> {
+  const fields: Record<string, string | string[]> = {};
+
+  for (const [name, value] of new URLSearchParams(readBody(event))) {
+    const current = fields[name];
+    fields[name] =
+      current === undefined ? value : [...(Array.isArray(current) ? current : [current]), value];
+  }
+
+  return fields;
+}
+
+/* ---------- Parameters ---------- */
+function parseParam(
+  name: string,
+  value: string,
+  type: Exclude<ParamType, 'list'>,
+): string | number | boolean {
+  if (type === 'string') return value;
+
+  if (type === 'boolean') {
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    throw new BadRequestError(`${name} must be true or false`);
+  }
+
+  const number = Number(value);
+  if (
+    value.trim() === '' ||
+    !Number.isFinite(number) ||
+    (type === 'integer' && !Number.isInteger(number))
+  ) {
+    throw new BadRequestError(`${name} must be ${type === 'integer' ? 'an integer' : 'a number'}`);
+  }
+  return number;
+}
+
+/**
+ * Path parameters of the route, all required: `readPath(event, { id: 'string' })` for /users/{id}
+ */
+export function readPath<Shape extends Record<string, Exclude<ParamType, 'list'>>>(
+  event: HttpEvent,
+  shape: Shape,
+): Params<Shape> {
+  const params: Record<string, unknown> = {};
+
+  for (const [name, type] of Object.entries(shape)) {
+    const value = event.pathParameters?.[name];
+    if (value === undefined) throw new BadRequestError(`Missing path parameter ${name}`);
+    params[name] = parseParam(name, value, type);
+  }
+
+  return params as Params<Shape>;
+}
+
+/**
+ * Query parameters, undefined when absent: `readQuery(event, { limit: 'integer', tag: 'list' })`
+ */
+export function readQuery<Shape extends Record<string, ParamType>>(
+  event: HttpEvent,
+  shape: Shape,
+): Partial<Params<Shape>> {
+  // queryStringParameters joins repeated parameters with commas,
+  // the raw query string keeps them apart
+  const query = new URLSearchParams(event.rawQueryString);
+  const params: Record<string, unknown> = {};
+
+  for (const [name, type] of Object.entries(shape)) {
+    if (!query.has(name)) continue;
+    params[name] =
+      type === 'list' ? query.getAll(name) : parseParam(name, query.get(name) ?? '', type);
+  }
+
+  return params as Partial<Params<Shape>>;
+}
+
+/**
+ * Cookies sent with the request, by name
+ */
+export function readCookies(event: HttpEvent): Record<string, string> {
+  const cookies: Record<string, string> = {};
+
+  for (const cookie of event.cookies ?? []) {
+    const separator = cookie.indexOf('=');
+    if (separator === -1) continue;
+
+    const name = cookie.slice(0, separator).trim();
+    const value = cookie.slice(separator + 1);
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      // Not encoded by `cookie()`, kept as sent
+      cookies[name] = value;
+    }
+  }
+
+  return cookies;
+}
+
+/* ---------- Responses ---------- */
+/**
+ * JSON response, with a 200 unless another status is given
+ */
+export function json(
+  body: unknown,
+  { statusCode = 200, headers, cookies }: ResponseOptions = {},
+): HttpResponse {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    cookies,
+  };
+}
+
+/**
+ * Redirects to `location`, with a 302 unless another status is given
+ */
+export function redirect(
+  location: string,
+  { statusCode = 302, headers, cookies }: ResponseOptions = {},
+): HttpResponse {
+  return { statusCode, headers: { Location: location, ...headers }, cookies };
+}
+
+export function noContent({
+  headers,
+  cookies,
+}: Omit<ResponseOptions, 'statusCode'> = {}): HttpResponse {
+  return { statusCode: 204, headers, cookies };
+}
+
+/* ---------- Cookies ---------- */
+export interface CookieOptions {
+  /**
+   * Lifetime in seconds, the cookie lasts for the browser session without it
+   */
+  maxAge?: number;
+  domain?: string;
+  path?: string;
+  /**
+   * Hidden from JavaScript, true by default
+   */
+  httpOnly?: boolean;
+  /**
+   * Only sent over HTTPS (and to localhost), true by default
+   */
+  secure?: boolean;
+  sameSite?: 'Strict' | 'Lax' | 'None';
+}
+
+/**
+ * Set-Cookie value for the `cookies` of a response:
+ * `json(body, { cookies: [cookie('session', id, { maxAge: 3600 })] })`
+ */
+export function cookie(name: string, value: string, options: CookieOptions = {}): string {
+  const { maxAge, domain, path = '/', httpOnly = true, secure = true, sameSite = 'Lax' } = options;
+  const attributes = [
+    `${name}=${encodeURIComponent(value)}`,
+    `Path=${path}`,
+    `SameSite=${sameSite}`,
+  ];
+
+  if (maxAge !== undefined) attributes.push(`Max-Age=${maxAge}`);
+  if (domain) attributes.push(`Domain=${domain}`);
+  if (httpOnly) attributes.push('HttpOnly');
+  if (secure) attributes.push('Secure');
+
+  return attributes.join('; ');
+}
+
+/**
+ * Set-Cookie value that deletes a cookie, with the path and domain it was set with
+ */
+export const clearCookie = (name: string, options: Pick<CookieOptions, 'domain' | 'path'> = {}) =>
+  cookie(name, '', { ...options, maxAge: 0 });
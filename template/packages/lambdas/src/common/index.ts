@@ -1,20 +1,182 @@
-import type { APIGatewayEvent, Context } from 'aws-lambda';
+// @if cognito
+import type { APIGatewayProxyEventV2WithJWTAuthorizer, Context } from 'aws-lambda';
+// @else
+import type { Context } from 'aws-lambda';
+// @endif
+// @if cognito
+import { type ErrorEnvelope, ForbiddenError, HttpError, ValidationError } from './errors';
+// @else
+import { type ErrorEnvelope, HttpError, ValidationError } from './errors';
+// @endif
+import { type HttpEvent, type HttpResponse, json } from './http';
+import { logger, setLogContext } from './logger';
 
+// Origins allowed by the infrastructure (infrastructure/src/cors.ts). API Gateway answers
+// preflights and sets the CORS headers of deployed routes itself, these cover every other way of
+// calling the function
+const allowedOrigins = (process.env.CORS_ORIGINS || '').split(',').filter(Boolean);
+
+/**
+ * CORS headers for the Origin of the request, none when the origin is not allowed
+ */
+export const corsHeaders = (event: HttpEvent): Record<string, string> => {
+  // Header names of payload format 2.0 are lowercase
+  const origin = event.headers?.origin;
+  if (!origin || !allowedOrigins.includes(origin)) return {};
+
+  return { 'Access-Control-Allow-Origin': origin, Vary: 'Origin' };
+};
+
+const withCors = (event: HttpEvent, response: HttpResponse): HttpResponse => ({
+  ...response,
+  headers: { ...corsHeaders(event), ...response.headers },
+});
+
+// Unexpected errors only answer a generic message in production, their details stay in the logs
+const isProduction = process.env.ENVIRONMENT === 'production';
+
+/**
+ * Error envelope for a thrown error:
+ * HttpErrors (./errors.ts) with their status and message, anything else as a 500
+ */
+const errorResponse = (error: unknown, requestId: string): HttpResponse => {
+  if (error instanceof HttpError) {
+    const body: ErrorEnvelope = {
+      error: {
+        code: error.code,
+        message: error.message,
+        requestId,
+        fields: error instanceof ValidationError ? error.fields : undefined,
+      },
+    };
+    return json(body, { statusCode: error.statusCode });
+  }
+
+  logger.error('Unexpected error', { error });
+
+  const { message, stack } =
+    error instanceof Error ? error : { message: String(error), stack: undefined };
+  const body: ErrorEnvelope = {
+    error: isProduction
+      ? { code: 'INTERNAL_ERROR', message: 'Internal server error', requestId }
+      : { code: 'INTERNAL_ERROR', message, requestId, stack },
+  };
+  return json(body, { statusCode: 500 });
+};
+
+// @if cognito
+/**
+ * Claims of the Cognito token that called a `cognito` route, already verified by API Gateway
+ */
+export interface CognitoClaims {
+  sub: string;
+  iss: string;
+  token_use: 'id' | 'access';
+  exp: number;
+  iat: number;
+  email?: string;
+  'cognito:username'?: string;
+  /**
+   * Set on ID tokens
+   */
+  aud?: string;
+  /**
+   * Set on access tokens
+   */
+  client_id?: string;
+  [claim: string]: unknown;
+}
+
+export interface Auth {
+  claims: CognitoClaims;
+  groups: string[];
+  scopes: string[];
+}
+
+// API Gateway passes list claims as a string, e.g. "[admin editors]" or "openid email"
+const parseList = (value: unknown): string[] =>
+  typeof value === 'string'
+    ? value
+        .replace(/^\[|\]$/g, '')
+        .split(/[\s,]+/)
+        .filter(Boolean)
+    : [];
+
+/**
+ * Reads the verified JWT claims of the request, or null on a `public` route
+ */
+export const readAuth = (event: HttpEvent): Auth | null => {
+  // Only routes with the JWT authorizer have one
+  const jwt = (event as APIGatewayProxyEventV2WithJWTAuthorizer).requestContext.authorizer?.jwt;
+  if (!jwt?.claims) return null;
+
+  return {
+    claims: {
+      ...jwt.claims,
+      exp: Number(jwt.claims.exp),
+      iat: Number(jwt.claims.iat),
+    } as CognitoClaims,
+    groups: parseList(jwt.claims['cognito:groups']),
+    scopes: jwt.scopes ?? parseList(jwt.claims.scope),
+  };
+};
+
+// Groups required by the route, set by the infrastructure from ROUTE_AUTH in ./auth.ts
+const requiredGroups = (process.env.AUTH_GROUPS || '').split(',').filter(Boolean);
+
+/**
+ * Wraps a handler: thrown errors become JSON error envelopes, and every request is logged with its
+ * status and duration
+ */
+export const safewrapper =
+  (lambda: (event: HttpEvent, context?: Context, auth?: Auth | null) => Promise<HttpResponse>) =>
+  async (event: HttpEvent, context?: Context): Promise<HttpResponse> => {
+// @else
+/**
+ * Wraps a handler: thrown errors become JSON error envelopes, and every request is logged with its
+ * status and duration
+ */
 export const safewrapper =
-  (lambda: (event: APIGatewayEvent, context?: Context) => Promise<any>) =>
-  async (event: APIGatewayEvent, context?: Context) => {
+  (lambda: (event: HttpEvent, context?: Context) => Promise<HttpResponse>) =>
+  async (event: HttpEvent, context?: Context): Promise<HttpResponse> => {
+// @endif
+    const { requestId, http } = event.requestContext;
+    const startedAt = Date.now();
+    setLogContext({ requestId, route: event.routeKey });
+
+    let response: HttpResponse;
     try {
-      return await lambda(event, context);
+      // @if cognito
+      const auth = readAuth(event);
+
+      if (
+        requiredGroups.length > 0 &&
+        !requiredGroups.some((group) => auth?.groups.includes(group))
+      ) {
+        throw new ForbiddenError();
+      }
+
+      response = await lambda(event, context, auth);
+      // @else
+      response = await lambda(event, context);
+      // @endif
     } catch (error) {
-      console.log({ error });
-      return {
-        statusCode: 500,
-        body: JSON.stringify({
-          message: 'Lambda runtime error',
-          error: (error as Error).message,
-        }),
-      };
+      response = errorResponse(error, requestId);
     }
+
+    logger.info('Request', {
+      method: http.method,
+      path: event.rawPath,
+      statusCode: response.statusCode,
+      durationMs: Date.now() - startedAt,
+    });
+
+    return withCors(event, response);
   };
 
 export * from './constants';
+export * from './env';
+export * from './errors';
+export * from './http';
+export * from './logger';
+export * from './schema';
@@ -0,0 +1,36 @@
+// Logs one JSON object per line, so CloudWatch Logs Insights can filter on any field:
+// fields @timestamp, level, message, route | filter requestId = "..."
+
+type Level = 'info' | 'warn' | 'error';
+
+// Fields of the request being handled, set by safewrapper.
+// A function instance handles one request at a time
+let context: Record<string, unknown> = {};
+
+export function setLogContext(fields: Record<string, unknown>) {
+  context = fields;
+}
+
+// Errors have no enumerable properties, JSON.stringify would log them as {}
+const serialize = (value: unknown) =>
+  value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : value;
+
+function write(level: Level, message: string, fields: Record<string, unknown> = {}) {
+  const line: Record<string, unknown> = { level, message, ...context };
+  for (const [name, value] of Object.entries(fields)) {
+    line[name] = serialize(value);
+  }
+
+  const output = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  output(JSON.stringify(line));
+}
+
+/**
+ * Structured logs, with the request id and route of the request:
+ * `logger.info('User created', { userId })`
+ */
+export const logger = {
+  info: (message: string, fields?: Record<string, unknown>) => write('info', message, fields),
+  warn: (message: string, fields?: Record<string, unknown>) => write('warn', message, fields),
+  error: (message: string, fields?: Record<string, unknown>) => write('error', message, fields),
+};
@@ -0,0 +1,174 @@
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import {
+  DeleteCommand,
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+} from '@aws-sdk/lib-dynamodb';
+import {
+  ENTITIES,
+  type Entities,
+  type EntityName,
+  type KeyFields,
+  buildKey,
+  buildKeyPrefix,
+  removeKeys,
+} from '@{{PROJECT_NAME}}/constants';
+import { readEnv } from './env';
+
+/* ---------- Types ---------- */
+type Definition<Entity extends EntityName> = (typeof ENTITIES)[Entity];
+type PatternName<Entity extends EntityName> = keyof Definition<Entity>['patterns'] & string;
+type PatternKey<
+  Entity extends EntityName,
+  Name extends PatternName<Entity>,
+  Key extends 'pk' | 'sk',
+> = Definition<Entity>['patterns'][Name] extends Record<Key, infer Template> ? Template : never;
+type Fields<Entity extends EntityName, Template> = Pick<
+  Entities[Entity],
+  KeyFields<Template> & keyof Entities[Entity]
+>;
+
+/**
+ * Fields that make up the primary key of an entity, e.g. { id } for USER#{id}
+ */
+export type KeyInput<Entity extends EntityName> = Fields<
+  Entity,
+  Definition<Entity>['key']['pk'] | Definition<Entity>['key']['sk']
+>;
+
+/**
+ * Fields of the partition key of a pattern, plus optional sort key fields to narrow the result
+ */
+export type QueryInput<Entity extends EntityName, Name extends PatternName<Entity>> = Fields<
+  Entity,
+  PatternKey<Entity, Name, 'pk'>
+> &
+  Partial<Fields<Entity, PatternKey<Entity, Name, 'sk'>>>;
+
+export interface QueryOptions {
+  limit?: number;
+  /**
+   * Newest first for date sort keys
+   */
+  descending?: boolean;
+  /**
+   * `cursor` of the previous page
+   */
+  cursor?: string;
+}
+
+export interface Page<Item> {
+  items: Item[];
+  /**
+   * Pass it as `cursor` to read the next page, null on the last one
+   */
+  cursor: string | null;
+}
+
+/* ---------- Constants ---------- */
+const TABLE_NAME = readEnv('TABLE_NAME');
+
+const client = DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+  marshallOptions: { removeUndefinedValues: true },
+});
+
+/* ---------- Keys ---------- */
+/**
+ * Every key attribute stored with an item: pk/sk and one pair per access pattern index
+ */
+export function buildKeys<Entity extends EntityName>(
+  entity: Entity,
+  item: Entities[Entity],
+): Record<string, string> {
+  const { key, patterns } = ENTITIES[entity];
+  const keys: Record<string, string> = { pk: buildKey(key.pk, item), sk: buildKey(key.sk, item) };
+
+  for (const { index, pk, sk } of Object.values(patterns)) {
+    keys[`${index}pk`] = buildKey(pk, item);
+    keys[`${index}sk`] = buildKey(sk, item);
+  }
+
+  return keys;
+}
+
+/* ---------- Repository ---------- */
+function createEntityRepository<Entity extends EntityName>(entity: Entity) {
+  const { key } = ENTITIES[entity];
+
+  return {
+    keys: (item: Entities[Entity]) => buildKeys(entity, item),
+
+    async get(input: KeyInput<Entity>): Promise<Entities[Entity] | null> {
+      const { Item } = await client.send(
+        new GetCommand({
+          TableName: TABLE_NAME,
+          Key: { pk: buildKey(key.pk, input), sk: buildKey(key.sk, input) },
+        }),
+      );
+      return Item ? removeKeys(entity, Item) : null;
+    },
+
+    async put(item: Entities[Entity]): Promise<Entities[Entity]> {
+      await client.send(
+        new PutCommand({
+          TableName: TABLE_NAME,
+          Item: { ...item, ...buildKeys(entity, item), entity },
+        }),
+      );
+      return item;
+    },
+
+    async delete(input: KeyInput<Entity>): Promise<void> {
+      await client.send(
+        new DeleteCommand({
+          TableName: TABLE_NAME,
+          Key: { pk: buildKey(key.pk, input), sk: buildKey(key.sk, input) },
+        }),
+      );
+    },
+
+    async query<Name extends PatternName<Entity>>(
+      patternName: Name,
+      input: QueryInput<Entity, Name>,
+      { limit, descending, cursor }: QueryOptions = {},
+    ): Promise<Page<Entities[Entity]>> {
+      const { index, pk, sk } = (
+        ENTITIES[entity].patterns as Record<string, { index: string; pk: string; sk: string }>
+      )[patternName];
+
+      const { Items = [], LastEvaluatedKey } = await client.send(
+        new QueryCommand({
+          TableName: TABLE_NAME,
+          IndexName: index,
+          KeyConditionExpression: '#pk = :pk AND begins_with(#sk, :sk)',
+          ExpressionAttributeNames: { '#pk': `${index}pk`, '#sk': `${index}sk` },
+          ExpressionAttributeValues: {
+            ':pk': buildKey(pk, input),
+            ':sk': buildKeyPrefix(sk, input),
+          },
+          Limit: limit,
+          ScanIndexForward: !descending,
+          ExclusiveStartKey: cursor
+            ? JSON.parse(Buffer.from(cursor, 'base64url').toString())
+            : undefined,
+        }),
+      );
+
+      return {
+        items: Items.map((stored) => removeKeys(entity, stored)),
+        cursor: LastEvaluatedKey
+          ? Buffer.from(JSON.stringify(LastEvaluatedKey)).toString('base64url')
+          : null,
+      };
+    },
+  };
+}
+
+/**
+ * Typed access to every entity of the table, e.g. `repository.order.query('byUser', { userId })`
+ */
+export const repository = Object.fromEntries(
+  (Object.keys(ENTITIES) as EntityName[]).map((entity) => [entity, createEntityRepository(entity)]),
+) as { [Entity in EntityName]: ReturnType<typeof createEntityRepository<Entity>> };
@@ -0,0 +1,179 @@
+import { BadRequestError, type FieldError, ValidationError } from './errors';
+
+/* ---------- Types ---------- */
+interface BaseField {
+  /**
+   * Can be missing or null. Fields are required by default
+   */
+  optional?: boolean;
+}
+
+export interface StringField extends BaseField {
+  type: 'string';
+  minLength?: number;
+  maxLength?: number;
+  pattern?: RegExp;
+  /**
+   * Only these values, typed as their union
+   */
+  enum?: readonly string[];
+}
+
+export interface NumberField extends BaseField {
+  type: 'number' | 'integer';
+  min?: number;
+  max?: number;
+}
+
+export interface BooleanField extends BaseField {
+  type: 'boolean';
+}
+
+export interface ArrayField extends BaseField {
+  type: 'array';
+  items: Field;
+  minItems?: number;
+  maxItems?: number;
+}
+
+export interface ObjectField extends BaseField {
+  type: 'object';
+  fields: Schema;
+}
+
+export type Field = StringField | NumberField | BooleanField | ArrayField | ObjectField;
+
+/**
+ * Fields of a JSON object, see `defineSchema`
+ */
+export type Schema = Record<string, Field>;
+
+type FieldValue<F> = F extends { enum: readonly (infer Value)[] }
+  ? Value
+  : F extends { type: 'string' }
+    ? string
+    : F extends { type: 'number' | 'integer' }
+      ? number
+      : F extends { type: 'boolean' }
+        ? boolean
+        : F extends { type: 'array'; items: infer Items }
+          ? FieldValue<Items>[]
+          : F extends { type: 'object'; fields: infer Fields extends Schema }
+            ? Infer<Fields>
+            : never;
+
+type Simplify<T> = { [Key in keyof T]: T[Key] } & {};
+
+/**
+ * Type of the values accepted by a schema
+ */
+export type Infer<S extends Schema> = Simplify<
+  { [Key in keyof S as S[Key] extends { optional: true } ? never : Key]: FieldValue<S[Key]> } & {
+    [Key in keyof S as S[Key] extends { optional: true } ? Key : never]?: FieldValue<S[Key]>;
+  }
+>;
+
+/**
+ * Keeps the literal types of a schema, so `Infer` knows its enums and optional fields:
+ *
+ * const CreateUser = defineSchema({
+ *   email: { type: 'string', pattern: /@/ },
+ *   role: { type: 'string', enum: ['admin', 'user'] },
+ * });
+ */
+export function defineSchema<const S extends Schema>(schema: S): S {
+  return schema;
+}
+
+/* ---------- Validation ---------- */
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+function checkField(field: Field, value: unknown, path: string, errors: FieldError[]): unknown {
+  const fail = (message: string) => {
+    errors.push({ field: path, message });
+    return undefined;
+  };
+
+  switch (field.type) {
+    case 'string':
+      if (typeof value !== 'string') return fail('must be a string');
+      if (field.enum && !field.enum.includes(value))
+        return fail(`must be one of ${field.enum.join(', ')}`);
+      if (field.minLength !== undefined && value.length < field.minLength) {
+        return fail(
+          field.minLength === 1
+            ? 'must not be empty'
+            : `must be at least ${field.minLength} characters`,
+        );
+      }
+      if (field.maxLength !== undefined && value.length > field.maxLength)
+        return fail(`must be at most ${field.maxLength} characters`);
+      if (field.pattern && !field.pattern.test(value)) return fail('has an invalid format');
+      return value;
+
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail('must be a number');
+      if (field.type === 'integer' && !Number.isInteger(value)) return fail('must be an integer');
+      if (field.min !== undefined && value < field.min)
+        return fail(`must be at least ${field.min}`);
+      if (field.max !== undefined && value > field.max) return fail(`must be at most ${field.max}`);
+      return value;
+
+    case 'boolean':
+      return typeof value === 'boolean' ? value : fail('must be true or false');
+
+    case 'array':
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (field.minItems !== undefined && value.length < field.minItems)
+        return fail(`must have at least ${field.minItems} items`);
+      if (field.maxItems !== undefined && value.length > field.maxItems)
+        return fail(`must have at most ${field.maxItems} items`);
+      return value.map((item, index) => checkField(field.items, item, `${path}[${index}]`, errors));
+
+    case 'object':
+      return isObject(value)
+        ? checkObject(field.fields, value, `${path}.`, errors)
+        : fail('must be an object');
+  }
+}
+
+function checkObject(
+  schema: Schema,
+  value: Record<string, unknown>,
+  prefix: string,
+  errors: FieldError[],
+) {
+  const result: Record<string, unknown> = {};
+
+  for (const [name, field] of Object.entries(schema)) {
+    const path = `${prefix}${name}`;
+
+    if (value[name] === undefined || value[name] === null) {
+      if (!field.optional) errors.push({ field: path, message: 'is required' });
+      continue;
+    }
+
+    result[name] = checkField(field, value[name], path, errors);
+  }
+
+  return result;
+}
+
+/**
+ * Checks a JSON object against a schema and returns its fields, without the ones the schema does
+ * not list. Throws a ValidationError with every field in error, answered with a 422 by safewrapper
+ * (a 400 when it is not an object)
+ */
+export function validate<S extends Schema>(schema: S, value: unknown): Infer<S> {
+  if (!isObject(value)) {
+    throw new BadRequestError('Expected a JSON object');
+  }
+
+  const errors: FieldError[] = [];
+  const result = checkObject(schema, value, '', errors);
+  if (errors.length > 0) throw new ValidationError(errors);
+
+  return result as Infer<S>;
+}
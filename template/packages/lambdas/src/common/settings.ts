@@ -0,0 +1,54 @@
+// Runtime settings of the functions,
+// read by the infrastructure when it creates the Lambda of every route
+
+export interface FunctionSettings {
+  /**
+   * Node.js runtime (default: nodejs20.x)
+   */
+  runtime?: 'nodejs20.x' | 'nodejs22.x';
+
+  /**
+   * Memory in MB, from 128 to 10240. CPU grows with it (default: 128)
+   */
+  memorySize?: number;
+
+  /**
+   * Seconds before the invocation is stopped. API Gateway gives up after 30 (default: 8)
+   */
+  timeout?: number;
+
+  /**
+   * arm64 (Graviton) is cheaper per second, check native dependencies first (default: x86_64)
+   */
+  architecture?: 'x86_64' | 'arm64';
+
+  /**
+   * Concurrent invocations set aside for the function, which is also its limit (default: none)
+   */
+  reservedConcurrency?: number;
+
+  /**
+   * Extra environment variables.
+   * The ones set by the infrastructure (see ./env.ts) cannot be overridden
+   */
+  environment?: Record<string, string>;
+}
+
+/**
+ * Settings of every route that is not listed in ROUTE_SETTINGS,
+ * or of what a listed route leaves out
+ */
+export const DEFAULT_SETTINGS: Required<Omit<FunctionSettings, 'reservedConcurrency'>> = {
+  runtime: 'nodejs20.x',
+  memorySize: 128,
+  timeout: 8,
+  architecture: 'x86_64',
+  environment: {},
+};
+
+/**
+ * Settings per route, keyed like the route table of `pulumi preview`
+ */
+export const ROUTE_SETTINGS: Record<string, FunctionSettings> = {
+  'POST /example': { memorySize: 256, architecture: 'arm64' },
+};
@@ -0,0 +1,62 @@
+import type { AttributeValue } from '@aws-sdk/client-dynamodb';
+import { unmarshall } from '@aws-sdk/util-dynamodb';
+import type { DynamoDBBatchResponse, DynamoDBStreamEvent } from 'aws-lambda';
+import { type Entities, type EntityName, removeKeys } from '@{{PROJECT_NAME}}/constants';
+import { logger } from './logger';
+
+/**
+ * One change of the table, with the images unmarshalled into the entity type
+ */
+export type StreamRecord<Entity extends EntityName = EntityName> = {
+  [Name in Entity]: {
+    eventName: 'INSERT' | 'MODIFY' | 'REMOVE';
+    entity: Name;
+    keys: { pk: string; sk: string };
+    /**
+     * Item before the change, null on INSERT
+     */
+    oldImage: Entities[Name] | null;
+    /**
+     * Item after the change, null on REMOVE
+     */
+    newImage: Entities[Name] | null;
+  };
+}[Entity];
+
+const toImage = (image: Record<string, unknown> | undefined) =>
+  image ? unmarshall(image as Record<string, AttributeValue>) : null;
+
+/**
+ * Wraps a stream consumer: records are handled in order, and the first one that throws is reported
+ * as a batch item failure so it is retried (and eventually sent to the dead-letter queue) with the
+ * ones after it
+ */
+export const streamHandler =
+  <Entity extends EntityName = EntityName>(
+    handle: (record: StreamRecord<Entity>) => Promise<void>,
+  ) =>
+  async (event: DynamoDBStreamEvent): Promise<DynamoDBBatchResponse> => {
+    for (const record of event.Records) {
+      try {
+        const oldImage = toImage(record.dynamodb?.OldImage);
+        const newImage = toImage(record.dynamodb?.NewImage);
+        const entity = (newImage ?? oldImage)?.entity as Entity;
+        const keys = unmarshall(
+          (record.dynamodb?.Keys ?? {}) as Record<string, AttributeValue>,
+        ) as StreamRecord['keys'];
+
+        await handle({
+          eventName: record.eventName,
+          entity,
+          keys,
+          oldImage: oldImage && removeKeys(entity, oldImage),
+          newImage: newImage && removeKeys(entity, newImage),
+        } as StreamRecord<Entity>);
+      } catch (error) {
+        logger.error('Stream record failed', { error, eventID: record.eventID });
+        return { batchItemFailures: [{ itemIdentifier: record.dynamodb?.SequenceNumber ?? '' }] };
+      }
+    }
+
+    return { batchItemFailures: [] };
+  };
@@ -0,0 +1,52 @@
+// DynamoDB stream consumers,
+// read by the infrastructure when it subscribes src/streams/<name>.ts to the table stream
+
+import type { EntityName } from '@{{PROJECT_NAME}}/constants';
+import type { ResourceAccess } from './access';
+import type { FunctionSettings } from './settings';
+
+export interface StreamConfig {
+  /**
+   * Entities whose changes reach the handler, every entity when omitted
+   */
+  entities?: EntityName[];
+
+  /**
+   * Kinds of change that reach the handler, every kind when omitted
+   */
+  events?: ('INSERT' | 'MODIFY' | 'REMOVE')[];
+
+  /**
+   * Records per invocation (default: 100)
+   */
+  batchSize?: number;
+
+  /**
+   * Split a failing batch in two and retry each half, to isolate the bad record (default: true)
+   */
+  bisectOnError?: boolean;
+
+  /**
+   * Retries before the batch is sent to the dead-letter queue (default: 3)
+   */
+  maxRetries?: number;
+
+  /**
+   * Resources the consumer can reach besides the stream, as in ROUTE_ACCESS (see ./access.ts)
+   */
+  access?: ResourceAccess;
+
+  /**
+   * Memory, timeout, architecture... of the consumer as in ROUTE_SETTINGS (see ./settings.ts), with
+   * a 30 second timeout by default
+   */
+  settings?: FunctionSettings;
+}
+
+/**
+ * Config per consumer, keyed by the file name in src/streams (audit for src/streams/audit.ts).
+ * Consumers that are not listed get every change with the defaults above
+ */
+export const STREAMS: Record<string, StreamConfig> = {
+  audit: { entities: ['user', 'order'], batchSize: 50 },
+};
@@ -0,0 +1,76 @@
+import { randomUUID } from 'node:crypto';
+import { GetObjectCommand, PutObjectCommand, S3Client } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { readEnv } from './env';
+
+/* ---------- Constants ---------- */
+/**
+ * Limits of the files uploaded through `POST /uploads`
+ */
+export const UPLOADS = {
+  /**
+   * Largest file accepted, in bytes
+   */
+  maxSize: 10 * 1024 * 1024,
+
+  /**
+   * Content types that can be uploaded
+   */
+  contentTypes: ['image/png', 'image/jpeg', 'image/webp', 'image/gif', 'application/pdf'],
+
+  /**
+   * Lifetime of the presigned URLs, in seconds
+   */
+  expiresIn: 300,
+};
+
+const BUCKET_NAME = readEnv('STORAGE_BUCKET');
+
+// By default the SDK adds a checksum of the empty body to the URL, which fails every browser
+// upload. S3-compatible stores such as the MinIO of the local environment (AWS_ENDPOINT_URL_S3)
+// want the bucket in the path
+const client = new S3Client({
+  requestChecksumCalculation: 'WHEN_REQUIRED',
+  forcePathStyle: Boolean(process.env.AWS_ENDPOINT_URL_S3),
+});
+
+/* ---------- Keys ---------- */
+/**
+ * Every file of a user is stored under users/<id>/, the only keys they can download
+ */
+export const userPrefix = (userId: string) => `users/${userId}/`;
+
+/**
+ * Unique key for a new file, keeping a readable version of its name: users/<id>/<uuid>-report.pdf
+ */
+export function createUploadKey(userId: string, fileName: string): string {
+  const name = fileName.replace(/[^\w.-]+/g, '-').slice(-100) || 'file';
+  return `${userPrefix(userId)}${randomUUID()}-${name}`;
+}
+
+/* ---------- URLs ---------- */
+/**
+ * Presigned PUT URL.
+ * Content-Type and Content-Length are signed, so the upload must send exactly these
+ */
+export function createUploadUrl(key: string, contentType: string, size: number): Promise<string> {
+  return getSignedUrl(
+    client,
+    new PutObjectCommand({
+      Bucket: BUCKET_NAME,
+      Key: key,
+      ContentType: contentType,
+      ContentLength: size,
+    }),
+    { expiresIn: UPLOADS.expiresIn, signableHeaders: new Set(['content-type', 'content-length']) },
+  );
+}
+
+/**
+ * Presigned GET URL
+ */
+export function createDownloadUrl(key: string): Promise<string> {
+  return getSignedUrl(client, new GetObjectCommand({ Bucket: BUCKET_NAME, Key: key }), {
+    expiresIn: UPLOADS.expiresIn,
+  });
+}
@@ -0,0 +1,18 @@
+import { json, readPath, safewrapper } from '../../common';
+
+// @if cognito
+// Only callable with a Cognito token (see ROUTE_AUTH in src/common/auth.ts)
+export const handler = safewrapper(async (event, _context, auth) => {
+// @else
+export const handler = safewrapper(async (event) => {
+// @endif
+  const { id } = readPath(event, { id: 'string' });
+
+  return json({
+    message: 'Hello from GET /example/{id} Lambda!',
+    id,
+    // @if cognito
+    user: auth?.claims.sub,
+    // @endif
+  });
+});
@@ -1,14 +1,10 @@
-import { safewrapper } from '../common';
+import { json, readQuery, safewrapper } from '../common';
 
 export const handler = safewrapper(async (event) => {
-  return {
-    statusCode: 200,
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      message: 'Hello from GET Lambda!',
-      queryParams: event.queryStringParameters,
-    }),
-  };
+  const queryParams = readQuery(event, { name: 'string', verbose: 'boolean' });
+
+  return json({
+    message: 'Hello from GET Lambda!',
+    queryParams,
+  });
 });
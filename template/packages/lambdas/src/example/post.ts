@@ -1,16 +1,10 @@
-import { safewrapper } from '../common';
+import { json, parseJson, safewrapper } from '../common';
 
 export const handler = safewrapper(async (event) => {
-  const body = JSON.parse(event.body || '{}');
+  const body = parseJson<Record<string, unknown>>(event);
 
-  return {
-    statusCode: 200,
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      message: 'Hello from POST Lambda!',
-      receivedData: body,
-    }),
-  };
+  return json({
+    message: 'Hello from POST Lambda!',
+    receivedData: body,
+  });
 });
@@ -0,0 +1,13 @@
+import { logger } from '../common/logger';
+import { streamHandler } from '../common/stream-handler';
+
+// Audit log: one structured CloudWatch line per change of a user or an order
+export const handler = streamHandler<'user' | 'order'>(async (record) => {
+  logger.info('Audit', {
+    event: record.eventName,
+    entity: record.entity,
+    keys: record.keys,
+    before: record.oldImage,
+    after: record.newImage,
+  });
+});
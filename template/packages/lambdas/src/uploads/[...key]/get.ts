@@ -0,0 +1,29 @@
+// @if cognito
+import { NotFoundError, UnauthorizedError, json, readPath, safewrapper } from '../../common';
+// @else
+import { NotFoundError, json, readPath, safewrapper } from '../../common';
+// @endif
+import { UPLOADS, createDownloadUrl, userPrefix } from '../../common/uploads';
+
+// Presigned GET URL for a file the caller uploaded, keyed as returned by POST /uploads
+// @if cognito
+export const handler = safewrapper(async (event, _context, auth) => {
+  const userId = auth?.claims.sub;
+  if (!userId) throw new UnauthorizedError();
+// @else
+export const handler = safewrapper(async (event) => {
+  const userId = 'anonymous';
+// @endif
+
+  const { key } = readPath(event, { key: 'string' });
+
+  // Files of other users are answered like missing ones
+  if (!key.startsWith(userPrefix(userId))) {
+    throw new NotFoundError('File not found');
+  }
+
+  return json({
+    url: await createDownloadUrl(key),
+    expiresIn: UPLOADS.expiresIn,
+  });
+});
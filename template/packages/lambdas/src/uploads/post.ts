@@ -0,0 +1,48 @@
+// @if cognito
+import {
+  HttpError,
+  UnauthorizedError,
+  defineSchema,
+  json,
+  parseJson,
+  safewrapper,
+} from '../common';
+// @else
+import { HttpError, defineSchema, json, parseJson, safewrapper } from '../common';
+// @endif
+import { UPLOADS, createUploadKey, createUploadUrl } from '../common/uploads';
+
+// Answered with a 422 and the fields in error when the body does not match
+const UploadRequest = defineSchema({
+  fileName: { type: 'string', minLength: 1 },
+  contentType: { type: 'string', enum: UPLOADS.contentTypes },
+  size: { type: 'integer', min: 1 },
+});
+
+// Presigned PUT URL for one file, under the caller's prefix of the storage bucket
+// @if cognito
+export const handler = safewrapper(async (event, _context, auth) => {
+  const userId = auth?.claims.sub;
+  if (!userId) throw new UnauthorizedError();
+// @else
+export const handler = safewrapper(async (event) => {
+  // Without Cognito there are no users, so every upload shares the same prefix
+  const userId = 'anonymous';
+// @endif
+
+  const { fileName, contentType, size } = parseJson(event, UploadRequest);
+
+  if (size > UPLOADS.maxSize) {
+    throw new HttpError(413, 'FILE_TOO_LARGE', `Files can be up to ${UPLOADS.maxSize} bytes`);
+  }
+
+  const key = createUploadKey(userId, fileName);
+
+  return json({
+    key,
+    url: await createUploadUrl(key, contentType, size),
+    method: 'PUT',
+    headers: { 'Content-Type': contentType },
+    expiresIn: UPLOADS.expiresIn,
+  });
+});
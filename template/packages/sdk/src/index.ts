@@ -10,6 +10,19 @@ import { DOMAINS, type Environment } from '@{{PROJECT_NAME}}/constants';
 export type SDKEnvironment = 'local' | Environment;
 
 type AppTreaty = Treaty.Create<App>;
+// @if lambda && s3
+
+/**
+ * Presigned URL returned by the `POST /uploads` Lambda.
+ */
+interface UploadTarget {
+  key: string;
+  url: string;
+  method: 'PUT';
+  headers: Record<string, string>;
+  expiresIn: number;
+}
+// @endif
 
 /**
  * Type-safe SDK client for the {{PROJECT_NAME}} API.
@@ -38,6 +51,13 @@ export class SDK {
   sessionId: string | null = null;
   private readonly SESSION_KEY = '{{PROJECT_NAME}}_session_id';
   private onSessionExpired: ((message?: string) => void) | null = null;
+  // @if lambda && cognito
+
+  /**
+   * Cognito ID or access token sent to the Lambda routes, which only accept Cognito tokens.
+   */
+  cognitoToken: string | null = null;
+  // @endif
 
   /**
    * Creates a new SDK instance.
@@ -266,6 +286,112 @@ export class SDK {
     localStorage.removeItem(this.SESSION_KEY);
   }
 
+  // @if lambda
+  /**
+   * Gets the base URL of the Lambda routes (API Gateway) for the current environment.
+   *
+   * @returns The full API Gateway base URL (including protocol and domain), or the
+   * local emulator of `bun run dev:lambdas` for `local`.
+   */
+  get lambdasUrl() {
+    if (this.environment === 'local') {
+      return 'http://localhost:3334';
+    }
+
+    return `https://${DOMAINS.apigw[this.environment]}`;
+  }
+
+  /**
+   * Calls a Lambda route and parses its JSON response.
+   *
+   * @param path - Route path, such as `/uploads`.
+   * @param init - Fetch options.
+   * @returns The parsed response body.
+   */
+  private async requestLambda<T>(path: string, init: RequestInit = {}): Promise<T> {
+    const response = await fetch(`${this.lambdasUrl}${path}`, {
+      ...init,
+      headers: {
+        'Content-Type': 'application/json',
+        // @if cognito
+        ...(this.cognitoToken && { authorization: `Bearer ${this.cognitoToken}` }),
+        // @endif
+        ...init.headers,
+      },
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      // Error envelope of safewrapper,
+      // or the { message } of API Gateway itself (e.g. a missing token)
+      const { message, fields } = body.error ?? body;
+      const details = fields
+        ?.map((field: { field: string; message: string }) => `${field.field} ${field.message}`)
+        .join(', ');
+      throw new Error(
+        details ||
+          message ||
+          `${init.method || 'GET'} ${path} failed with status ${response.status}`,
+      );
+    }
+
+    return body as T;
+  }
+
+  // @if s3
+  /**
+   * Uploads a file to the storage bucket through a presigned URL.
+   *
+   * The `POST /uploads` Lambda checks the content type and size and signs them, then the file
+   * goes straight from the browser to S3.
+   *
+   * @param file - The file to upload.
+   * @returns The key of the stored file, to pass to {@link getDownloadUrl}.
+   *
+   * @example
+   * ```typescript
+   * const input = document.querySelector<HTMLInputElement>('input[type=file]');
+   * const key = await sdk.uploadFile(input.files[0]);
+   * ```
+   */
+  async uploadFile(file: File): Promise<string> {
+    const target = await this.requestLambda<UploadTarget>('/uploads', {
+      method: 'POST',
+      body: JSON.stringify({ fileName: file.name, contentType: file.type, size: file.size }),
+    });
+
+    const upload = await fetch(target.url, {
+      method: target.method,
+      headers: target.headers,
+      body: file,
+    });
+    if (!upload.ok) {
+      throw new Error(`Upload of ${file.name} failed with status ${upload.status}`);
+    }
+
+    return target.key;
+  }
+
+  /**
+   * Gets a short-lived download URL for a file uploaded with {@link uploadFile}.
+   *
+   * @param key - The key returned by {@link uploadFile}.
+   * @returns A presigned URL, valid for a few minutes.
+   *
+   * @example
+   * ```typescript
+   * window.open(await sdk.getDownloadUrl(key));
+   * ```
+   */
+  async getDownloadUrl(key: string): Promise<string> {
+    const { url } = await this.requestLambda<{ url: string }>(`/uploads/${key}`);
+    return url;
+  }
+
+  // @endif
+  // Methods of `create-mococa-app generate lambda` are added above this line
+
+  // @endif
   /**
    * Gets the Treaty client instance with full type safety.
    *
@@ -0,0 +1,23 @@
+module.exports = {
+  content: [
+    './src/**/*.njs',
+    './src/**/*.jsx',
+    './src/**/*.nts',
+    './src/**/*.tsx',
+    '../../packages/ui/src/**/*.njs',
+    '../../packages/ui/src/**/*.jsx',
+    '../../packages/ui/src/**/*.nts',
+    '../../packages/ui/src/**/*.tsx',
+  ],
+  theme: {
+    extend: {
+      colors: {
+        // Add your custom colors here
+      },
+    },
+    fontFamily: {
+      // Add your custom fonts here
+    },
+  },
+  plugins: [],
+};
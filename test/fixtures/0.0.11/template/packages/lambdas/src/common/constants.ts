@@ -0,0 +1,2 @@
+// Add your shared constants here
+export const EXAMPLE_CONSTANT = 'example';
@@ -0,0 +1,2 @@
+// Export your shared UI components here
+// Example: export { default as Button } from './Button';
@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { mergeJson, mergeText } from '../bin/cli.js';
+
+const lines = (...values) => values.join('\n');
+
+describe('mergeText', () => {
+  const base = lines('a', 'b', 'c', 'd', 'e');
+
+  test('takes the template change when only the template changed', () => {
+    const next = lines('a', 'B', 'c', 'd', 'e');
+    assert.deepEqual(mergeText(base, base, next, 'template'), { text: next, conflicts: 0 });
+  });
+
+  test('keeps the user change when only the user changed', () => {
+    const current = lines('a', 'b', 'c', 'D', 'e');
+    assert.deepEqual(mergeText(base, current, base, 'template'), { text: current, conflicts: 0 });
+  });
+
+  test('combines changes to different lines', () => {
+    const current = lines('a', 'b', 'c', 'D', 'e');
+    const next = lines('a', 'B', 'c', 'd', 'e');
+    assert.deepEqual(mergeText(base, current, next, 'template'), { text: lines('a', 'B', 'c', 'D', 'e'), conflicts: 0 });
+  });
+
+  test('applies the same change made on both sides once', () => {
+    const changed = lines('a', 'b', 'C', 'd', 'e');
+    assert.deepEqual(mergeText(base, changed, changed, 'template'), { text: changed, conflicts: 0 });
+  });
+
+  test('marks different changes to the same line as a conflict', () => {
+    const current = lines('a', 'b', 'mine', 'd', 'e');
+    const next = lines('a', 'b', 'theirs', 'd', 'e');
+    assert.deepEqual(mergeText(base, current, next, 'template 1.0.0'), {
+      text: lines('a', 'b', '<<<<<<< yours', 'mine', '=======', 'theirs', '>>>>>>> template 1.0.0', 'd', 'e'),
+      conflicts: 1,
+    });
+  });
+
+  test('removes lines the template deleted', () => {
+    const current = lines('a', 'b', 'c', 'D', 'e');
+    const next = lines('a', 'c', 'd', 'e');
+    assert.deepEqual(mergeText(base, current, next, 'template'), { text: lines('a', 'c', 'D', 'e'), conflicts: 0 });
+  });
+
+  test('keeps lines the user deleted', () => {
+    const current = lines('a', 'c', 'd', 'e');
+    const next = lines('a', 'b', 'c', 'd', 'e', 'f');
+    assert.deepEqual(mergeText(base, current, next, 'template'), { text: lines('a', 'c', 'd', 'e', 'f'), conflicts: 0 });
+  });
+
+  test('marks a line the user deleted and the template changed as a conflict', () => {
+    const current = lines('a', 'c', 'd', 'e');
+    const next = lines('a', 'B', 'c', 'd', 'e');
+    const { text, conflicts } = mergeText(base, current, next, 'template');
+    assert.equal(conflicts, 1);
+    assert.equal(text, lines('a', '<<<<<<< yours', '=======', 'B', '>>>>>>> template', 'c', 'd', 'e'));
+  });
+});
+
+describe('mergeJson', () => {
+  const base = { name: 'app', scripts: { build: 'tsc', test: 'vitest' }, workspaces: ['apps/*'] };
+
+  test('takes the template change when only the template changed', () => {
+    const next = { ...base, scripts: { ...base.scripts, lint: 'biome lint' } };
+    assert.deepEqual(mergeJson(base, base, next), { value: next, conflicts: [] });
+  });
+
+  test('keeps the user change when only the user changed', () => {
+    const current = { ...base, scripts: { ...base.scripts, test: 'bun test' } };
+    assert.deepEqual(mergeJson(base, current, base), { value: current, conflicts: [] });
+  });
+
+  test('combines changes to different keys', () => {
+    const current = { ...base, scripts: { ...base.scripts, test: 'bun test' } };
+    const next = { ...base, scripts: { ...base.scripts, lint: 'biome lint' } };
+    assert.deepEqual(mergeJson(base, current, next), {
+      value: { ...base, scripts: { build: 'tsc', test: 'bun test', lint: 'biome lint' } },
+      conflicts: [],
+    });
+  });
+
+  test('applies the same change made on both sides once', () => {
+    const changed = { ...base, workspaces: ['apps/*', 'packages/*'] };
+    assert.deepEqual(mergeJson(base, changed, changed), { value: changed, conflicts: [] });
+  });
+
+  test('keeps the user value on conflicting keys and reports them', () => {
+    const current = { ...base, scripts: { ...base.scripts, build: 'tsc -b' } };
+    const next = { ...base, scripts: { ...base.scripts, build: 'bun build' } };
+    assert.deepEqual(mergeJson(base, current, next), { value: current, conflicts: ['scripts.build'] });
+  });
+
+  test('removes keys the template deleted', () => {
+    const current = { ...base, private: true };
+    const { test: _test, ...scripts } = base.scripts;
+    assert.deepEqual(mergeJson(base, current, { ...base, scripts }), { value: { ...current, scripts }, conflicts: [] });
+  });
+
+  test('keeps keys the user deleted', () => {
+    const { test: _test, ...scripts } = base.scripts;
+    const current = { ...base, scripts };
+    const next = { ...base, version: '1.0.0' };
+    assert.deepEqual(mergeJson(base, current, next), { value: { ...current, version: '1.0.0' }, conflicts: [] });
+  });
+});
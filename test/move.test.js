@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import { moveIntoPlace } from '../bin/cli.js';
+
+// Every file under `dir` with its content, keyed by relative path
+function readTree(dir, root = dir) {
+  return Object.fromEntries(
+    fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const entryPath = path.join(dir, entry.name);
+      return entry.isDirectory()
+        ? Object.entries(readTree(entryPath, root))
+        : [[path.relative(root, entryPath), fs.readFileSync(entryPath, 'utf8')]];
+    })
+  );
+}
+
+function writeTree(dir, files) {
+  Object.entries(files).forEach(([relativePath, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(dir, relativePath), content);
+  });
+}
+
+describe('moveIntoPlace', () => {
+  let workPath;
+  let stagingPath;
+  let targetPath;
+
+  beforeEach(() => {
+    workPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mococa-move-test-'));
+    stagingPath = path.join(workPath, 'staging');
+    targetPath = path.join(workPath, 'target');
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(workPath, { recursive: true, force: true });
+  });
+
+  test('replaces the target directory', () => {
+    writeTree(stagingPath, { 'package.json': 'new' });
+    writeTree(targetPath, { 'old.txt': 'old' });
+
+    moveIntoPlace(stagingPath, targetPath, false);
+
+    assert.deepEqual(readTree(workPath), { 'target/package.json': 'new' });
+  });
+
+  test('puts the target directory back when the move fails', () => {
+    writeTree(targetPath, { 'old.txt': 'old' });
+
+    // The staging directory is missing, so renaming it fails after the target was moved aside
+    assert.throws(() => moveIntoPlace(stagingPath, targetPath, false), { code: 'ENOENT' });
+
+    assert.deepEqual(readTree(workPath), { 'target/old.txt': 'old' });
+  });
+
+  test('copies the staged files over the current directory', () => {
+    writeTree(stagingPath, { 'package.json': 'new', 'src/index.ts': 'new' });
+    writeTree(targetPath, { 'package.json': 'old', 'notes.txt': 'mine' });
+
+    moveIntoPlace(stagingPath, targetPath, true);
+
+    assert.deepEqual(readTree(targetPath), { 'package.json': 'new', 'notes.txt': 'mine', 'src/index.ts': 'new' });
+  });
+
+  test('restores the current directory when a copy fails', () => {
+    writeTree(stagingPath, { 'package.json': 'new', 'src/index.ts': 'new', 'src/lib/util.ts': 'new' });
+    writeTree(targetPath, { 'package.json': 'old', 'notes.txt': 'mine' });
+
+    // The last staged file fails to copy, after the others replaced or created files
+    const copyFileSync = fs.copyFileSync;
+    let stagedCopies = 0;
+    mock.method(fs, 'copyFileSync', (source, destination) => {
+      if (source.startsWith(stagingPath) && ++stagedCopies === 3) throw new Error('ENOSPC: no space left on device');
+      return copyFileSync(source, destination);
+    });
+
+    assert.throws(() => moveIntoPlace(stagingPath, targetPath, true), /ENOSPC/);
+
+    assert.equal(stagedCopies, 3);
+    assert.deepEqual(readTree(targetPath), { 'package.json': 'old', 'notes.txt': 'mine' });
+  });
+});
@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { renderConditionalBlocks, validateManifest } from '../bin/cli.js';
+
+const lines = (...values) => values.join('\n');
+
+describe('renderConditionalBlocks', () => {
+  const conditions = { lambda: true, dynamo: false, s3: true };
+
+  test('keeps the branches whose condition holds', () => {
+    const content = lines(
+      'a',
+      '// @if lambda',
+      'b',
+      '// @if dynamo',
+      'c',
+      '// @else',
+      'd',
+      '// @endif',
+      '// @endif',
+      'e'
+    );
+    assert.equal(renderConditionalBlocks(content, conditions, 'file.ts'), lines('a', 'b', 'd', 'e'));
+  });
+
+  test('uses # markers in yml files', () => {
+    const content = lines('a', '# @if dynamo || s3', 'b', '# @endif');
+    assert.equal(renderConditionalBlocks(content, conditions, 'deploy.yml'), lines('a', 'b'));
+  });
+
+  test('rejects an @if that is never closed', () => {
+    const content = lines('a', '// @if lambda', 'b');
+    assert.throws(() => renderConditionalBlocks(content, conditions, 'file.ts'), /file\.ts:2: @if is never closed with @endif/);
+  });
+
+  test('rejects an @endif without an @if', () => {
+    const content = lines('a', '// @endif');
+    assert.throws(() => renderConditionalBlocks(content, conditions, 'file.ts'), /file\.ts:2: @endif without a matching @if/);
+  });
+
+  test('rejects an @else without an @if', () => {
+    const content = lines('// @else', 'a');
+    assert.throws(() => renderConditionalBlocks(content, conditions, 'file.ts'), /file\.ts:1: @else without a matching @if/);
+  });
+
+  test('rejects a second @else', () => {
+    const content = lines('// @if s3', 'a', '// @else', 'b', '// @else', 'c', '// @endif');
+    assert.throws(() => renderConditionalBlocks(content, conditions, 'file.ts'), /file\.ts:5: duplicate @else for the @if at file\.ts:1/);
+  });
+
+  test('rejects misspelled markers', () => {
+    const content = lines('// @iff lambda', 'a', '// @endif');
+    assert.throws(() => renderConditionalBlocks(content, conditions, 'file.ts'), /unknown marker "@iff"/);
+  });
+});
+
+describe('validateManifest', () => {
+  const manifest = {
+    templateVersion: '0.0.11',
+    templateHash: 'abc123',
+    projectName: 'my-app',
+    domain: 'my-app.com',
+    environments: ['development', 'production'],
+    features: { api: false, apiType: 'elysia', cognito: false, lambda: true, dynamo: true, s3: false, cdn: false },
+  };
+
+  test('accepts a valid manifest', () => {
+    assert.deepEqual(validateManifest(manifest), []);
+  });
+
+  test('rejects anything but an object', () => {
+    assert.deepEqual(validateManifest([]), ['(root): expected an object']);
+    assert.deepEqual(validateManifest(null), ['(root): expected an object']);
+  });
+
+  test('requires a valid project name', () => {
+    const { projectName: _projectName, ...withoutName } = manifest;
+    assert.deepEqual(validateManifest(withoutName), ['projectName: required, can only contain lowercase letters, numbers, and hyphens']);
+    assert.deepEqual(validateManifest({ ...manifest, projectName: 'My App' }), [
+      'projectName: required, can only contain lowercase letters, numbers, and hyphens',
+    ]);
+  });
+
+  test('reports every invalid field', () => {
+    const errors = validateManifest({
+      ...manifest,
+      templateHash: 'not hex',
+      domain: 'not a domain',
+      environments: ['production', 'production', 'local'],
+      features: { ...manifest.features, lambda: 'yes', redis: true, apiType: 'express' },
+      extra: true,
+    });
+    assert.deepEqual(errors, [
+      'extra: unknown field',
+      'templateHash: expected a hexadecimal string',
+      'domain: expected a valid domain (e.g., example.com)',
+      'environments[1]: duplicate environment "production"',
+      'environments[2]: "local" is reserved for the stack running on emulators',
+      'features.apiType: expected one of elysia',
+      'features.lambda: expected a boolean',
+      'features.redis: unknown feature (valid features: api, cognito, lambda, dynamo, s3, cdn)',
+    ]);
+  });
+
+  test('rejects an empty environment list', () => {
+    assert.deepEqual(validateManifest({ ...manifest, environments: [] }), [
+      'environments: expected a non-empty array of environment names',
+    ]);
+  });
+});
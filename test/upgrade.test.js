@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import { createRequire } from 'node:module';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { verifyProject } from '../bin/cli.js';
+
+const require = createRequire(import.meta.url);
+const rootPath = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const cliPath = path.join(rootPath, 'bin', 'cli.js');
+
+// create-mococa-app 0.0.11 (bin/, template/ and package.json), the last release before mococa.json
+const baselinePath = path.join(rootPath, 'test', 'fixtures', '0.0.11');
+
+// Every file under `dir` with its content, keyed by relative path
+function readTree(dir, root = dir) {
+  return Object.fromEntries(
+    fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const entryPath = path.join(dir, entry.name);
+      return entry.isDirectory()
+        ? Object.entries(readTree(entryPath, root))
+        : [[path.relative(root, entryPath), fs.readFileSync(entryPath, 'utf8')]];
+    })
+  );
+}
+
+function run(args, cwd) {
+  return execFileSync(process.execPath, args, { cwd, encoding: 'utf8', env: { ...process.env, FORCE_COLOR: '0' } });
+}
+
+describe('upgrade from 0.0.11', () => {
+  let workPath;
+  let output;
+
+  before(() => {
+    workPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mococa-upgrade-test-'));
+
+    // The fixture has no dependencies of its own, a copy next to ours runs it like npx would
+    const baselineCopy = path.join(workPath, 'create-mococa-app-0.0.11');
+    fs.cpSync(baselinePath, baselineCopy, { recursive: true });
+    fs.symlinkSync(path.join(rootPath, 'node_modules'), path.join(baselineCopy, 'node_modules'), 'junction');
+
+    fs.mkdirSync(path.join(workPath, 'upgraded'));
+    run([path.join(baselineCopy, 'bin', 'cli.js'), 'app', '--skip', '--lambda', '--dynamo'], path.join(workPath, 'upgraded'));
+    output = run([cliPath, 'upgrade', '--from', baselinePath, '--from-version', '0.0.11'], path.join(workPath, 'upgraded', 'app'));
+
+    fs.mkdirSync(path.join(workPath, 'generated'));
+    run([cliPath, 'app', '--skip', '--lambda', '--dynamo'], path.join(workPath, 'generated'));
+  });
+
+  after(() => {
+    fs.rmSync(workPath, { recursive: true, force: true });
+  });
+
+  test('merges every file without conflicts', () => {
+    assert.match(output, /Upgraded to template [\d.]+ successfully/);
+  });
+
+  test('produces the project the current template generates', () => {
+    assert.deepEqual(readTree(path.join(workPath, 'upgraded', 'app')), readTree(path.join(workPath, 'generated', 'app')));
+  });
+
+  test('leaves no broken imports', () => {
+    assert.deepEqual(verifyProject(path.join(workPath, 'upgraded', 'app'), 'app'), []);
+  });
+
+  test('type-checks the constants package', () => {
+    const constantsPath = path.join(workPath, 'upgraded', 'app', 'packages', 'constants', 'src');
+    const files = fs.readdirSync(constantsPath).map(file => path.join(constantsPath, file));
+
+    // Throws with the compiler errors on its output when the check fails
+    run([require.resolve('typescript/bin/tsc'), '--noEmit', '--strict', '--target', 'es2022', '--module', 'esnext', '--moduleResolution', 'bundler', ...files], workPath);
+  });
+});